@@ -0,0 +1,192 @@
+import { parentPort, workerData } from 'worker_threads';
+import MDBReader from 'mdb-reader';
+import fs from 'fs';
+import { getRowParser, resolveRuleSet, fingerprintRow } from './parsing.js';
+
+// ============================================
+// ACCESS WORKER - MDBReader work off the main thread
+// Receives { id, type, payload } from the pool in server.js and answers
+// { id, result, cache } or { id, error: { message, errorCode, statusCode, params }, cache }.
+// The pool routes every task for a file to the same worker, so the opened
+// readers live here rather than on the main thread.
+// ============================================
+const { readerCacheMaxBytes, readerIdleTimeout } = workerData;
+
+// ============================================
+// READER CACHE - Opened MDBReaders per stored file
+// Each reader holds the whole file in memory, so the cache is bounded by
+// READER_CACHE_MAX_BYTES and evicts the least recently used file. The pool
+// keeps the sum over all workers under the same budget (trimReaders).
+// ============================================
+const readerCache = new Map(); // filePath -> { reader, bytes, lastUsed } (insertion order = LRU order)
+const readerCacheStats = { hits: 0, misses: 0, evictions: 0 };
+let readerCacheBytes = 0;
+
+function dropReader(filePath) {
+  const entry = readerCache.get(filePath);
+  if (!entry) return false;
+  readerCache.delete(filePath);
+  readerCacheBytes -= entry.bytes;
+  return true;
+}
+
+/**
+ * Return the MDBReader for a file, opening (and caching) it on a miss.
+ * Files larger than the whole budget are opened uncached.
+ */
+function getReader(filePath) {
+  const entry = readerCache.get(filePath);
+  if (entry) {
+    readerCacheStats.hits++;
+    // Move to the most recently used end
+    readerCache.delete(filePath);
+    readerCache.set(filePath, entry);
+    entry.lastUsed = Date.now();
+    return entry.reader;
+  }
+
+  readerCacheStats.misses++;
+  const buffer = fs.readFileSync(filePath);
+  const reader = new MDBReader(buffer);
+  const bytes = buffer.length;
+  if (bytes > readerCacheMaxBytes) {
+    console.warn(`[reader-cache] File too large to cache (${bytes} bytes): ${filePath}`);
+    return reader;
+  }
+
+  evictReaders(readerCacheMaxBytes - bytes);
+  readerCache.set(filePath, { reader, bytes, lastUsed: Date.now() });
+  readerCacheBytes += bytes;
+  return reader;
+}
+
+/**
+ * Drop least recently used readers until the cache holds at most maxBytes
+ */
+function evictReaders(maxBytes) {
+  for (const [lruFilePath] of readerCache) {
+    if (readerCacheBytes <= maxBytes) break;
+    dropReader(lruFilePath);
+    readerCacheStats.evictions++;
+    console.log(`[reader-cache] Evicted reader: ${lruFilePath}`);
+  }
+}
+
+function describeReaderCache() {
+  return { entries: readerCache.size, bytes: readerCacheBytes, maxBytes: readerCacheMaxBytes, ...readerCacheStats };
+}
+
+// Release readers that have not been used for a while
+setInterval(() => {
+  const now = Date.now();
+  for (const [filePath, entry] of readerCache.entries()) {
+    if (now - entry.lastUsed > readerIdleTimeout || !fs.existsSync(filePath)) {
+      console.log(`[reader-cache] Releasing idle reader: ${filePath}`);
+      dropReader(filePath);
+    }
+  }
+}, 60 * 1000).unref();
+
+/**
+ * Table names, row counts and columns of an opened database.
+ * IMPORTANT: do NOT call table.getData() here. For large databases, loading all
+ * rows of every table can exhaust memory and crash/reset the process, which
+ * surfaces in the client as a network upload error.
+ */
+function describeTables(reader) {
+  return reader.getTableNames().map((name) => {
+    try {
+      const table = reader.getTable(name);
+      const columns = table.getColumnNames();
+      const rowCount = typeof table.rowCount === 'number' ? table.rowCount : 0;
+      return { name, rowCount, columns };
+    } catch (err) {
+      console.error(`Error reading table ${name}:`, err);
+      return { name, rowCount: 0, columns: [] };
+    }
+  });
+}
+
+function readRows(filePath, tableName, offset, limit) {
+  return getReader(filePath).getTable(tableName).getData({ rowOffset: offset, rowLimit: limit });
+}
+
+/**
+ * Replace Buffers (Binary and OLE cells) with their JSON form, in place.
+ * A Buffer reaches the main thread as a plain Uint8Array, which serializes as
+ * {"0":1,"1":2,...} instead of {"type":"Buffer","data":[...]}; sending the JSON
+ * form keeps row_data and parse output as they were before the worker pool.
+ */
+function serializeBuffers(value) {
+  if (Buffer.isBuffer(value)) return value.toJSON();
+  if (Array.isArray(value) || (value && Object.getPrototypeOf(value) === Object.prototype)) {
+    for (const key of Object.keys(value)) {
+      value[key] = serializeBuffers(value[key]);
+    }
+  }
+  return value;
+}
+
+const handlers = {
+  listTables({ filePath }) {
+    return describeTables(getReader(filePath));
+  },
+
+  openTable({ filePath, tableName }) {
+    const table = getReader(filePath).getTable(tableName);
+    const totalRows = typeof table.rowCount === 'number' ? table.rowCount : 0;
+    return { columns: table.getColumnNames(), totalRows };
+  },
+
+  readPage({ filePath, tableName, offset, limit }) {
+    return readRows(filePath, tableName, offset, limit);
+  },
+
+  /**
+   * Read a page and run the schema parser over it. Options are the plain parts
+   * of getRowParser's options; the rule set travels by name.
+   */
+  parsePage({ filePath, tableName, offset, limit, columns, dataType, columnMapping, options }) {
+    const dateStats = {};
+    const parseRow = getRowParser(dataType, { ...options, ruleSet: resolveRuleSet(options.ruleSet), dateStats });
+    const rows = readRows(filePath, tableName, offset, limit);
+    return {
+      count: rows.length,
+      rows: rows.map((row, i) => parseRow(row, columns, offset + i, columnMapping)),
+      dateStats,
+    };
+  },
+
+  /**
+   * Read a page with the { key, hash } fingerprint of each row (incremental sync)
+   */
+  fingerprintPage({ filePath, tableName, offset, limit, columns, keyColumns }) {
+    const sortedColumns = [...columns].sort();
+    const rows = readRows(filePath, tableName, offset, limit);
+    return {
+      count: rows.length,
+      rows,
+      fingerprints: rows.map((row) => fingerprintRow(row, sortedColumns, keyColumns)),
+    };
+  },
+
+  dropFile({ filePath }) {
+    return { dropped: dropReader(filePath) };
+  },
+
+  trimReaders({ maxBytes }) {
+    evictReaders(maxBytes);
+    return { bytes: readerCacheBytes };
+  },
+};
+
+parentPort.on('message', ({ id, type, payload }) => {
+  try {
+    const handler = handlers[type];
+    if (!handler) throw new Error(`Unknown task type: ${type}`);
+    parentPort.postMessage({ id, result: serializeBuffers(handler(payload)), cache: describeReaderCache() });
+  } catch (err) {
+    const { message, errorCode, statusCode, params } = err;
+    parentPort.postMessage({ id, error: { message, errorCode, statusCode, params }, cache: describeReaderCache() });
+  }
+});
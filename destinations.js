@@ -0,0 +1,1150 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { requestError } from './parsing.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// ============================================
+// SYNC DESTINATIONS - Where the sync jobs write Access rows
+// Every destination implements the same adapter:
+//   updateFileStatus(fileId, fields)          - sync_status, current_table, counters
+//   getRecordsSynced(fileId)                  - records_synced recorded for the file
+//   listSyncedTables(fileId)                  - tables with metadata and at least one row
+//   deleteTableRows(fileId, tableName, onBatch) - remove a table's rows, resolves to the count
+//   insertRows(records)                       - { access_file_id, source_table, row_index, row_data,
+//                                               row_key?, row_hash? }[] (fingerprints: incremental sync)
+//   saveTableMetadata(meta)                   - upsert by (access_file_id, table_name)
+//   upsertTypedRows(target, records)          - parsed records into a schema's typed table, by target.key
+//   insertImportErrors(records)               - rejected rows { access_file_id, source_table, row_index,
+//                                               data_type, errors, warnings, row_data }
+//   deleteTypedRows(fileId, tableName, target) - a source table's typed records and import errors
+//   listRowFingerprints(fileId, tableName)    - { row_key, row_hash }[] of a table's access_data rows
+//   deleteRowsByKey(fileId, tableName, keys)  - remove access_data rows by row_key, resolves to the count
+//   replaceRows(fileId, tableName, records, replacedKeys) - insertRows plus the removal of the earlier
+//                                               versions of replacedKeys; the old rows are never gone without
+//                                               the new ones (one transaction, or insert before delete)
+//   insertStagedRows(generation, records)     - access_data records into a staging generation (atomic sync);
+//                                               a batch staged again replaces its earlier copy
+//   swapStagedRows(fileId, tableName, generation) - make a generation the table's rows in one step, resolves
+//                                               to the count of rows replaced (null when nothing is staged)
+//   discardStagedRows(fileId, tableName, keepGenerations) - drop the table's staged generations, except those listed
+//   close()
+// listRowFingerprints, deleteRowsByKey and replaceRows exist only where supportsIncrementalSync() is true.
+// insertRows, upsertTypedRows, insertImportErrors, listRowFingerprints,
+// deleteRowsByKey, replaceRows and the staging methods throw on failure; the job runner retries the writes. A typed target is getSyncTarget() from parsing.js:
+// { table, key, columns: [{ name, type: 'text' | 'number' | 'date' }] }.
+// The drivers for postgres, sqlite and parquet are optional dependencies,
+// loaded the first time a destination of that type is used.
+// ============================================
+const DESTINATION_TYPES = ['supabase', 'postgres', 'sqlite', 'ndjson', 'parquet'];
+
+// Local files (sqlite databases, ndjson/parquet exports) are only written below this directory
+const SYNC_EXPORT_DIR = path.resolve(process.env.SYNC_EXPORT_DIR || path.join(__dirname, 'exports'));
+
+const DRIVER_PACKAGES = { postgres: 'pg', sqlite: 'better-sqlite3', parquet: 'parquetjs-lite' };
+
+// Destinations that can find and delete single rows by row_key (ndjson/parquet parts are write-once)
+const INCREMENTAL_DESTINATION_TYPES = ['supabase', 'postgres', 'sqlite'];
+
+// Row keys per DELETE ... IN (...) statement / request
+const ROW_KEY_BATCH_SIZE = 200;
+
+// Options holding credentials, per destination type (such types are refused in request bodies by default)
+const CREDENTIAL_OPTIONS = { supabase: ['key'], postgres: ['connectionString'] };
+const CREDENTIAL_DESTINATION_TYPES = Object.keys(CREDENTIAL_OPTIONS);
+
+const SQL_IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const LOCAL_NAME = /^[\w.-]+$/;
+
+/**
+ * Load the optional driver package of a destination type (null when none is needed)
+ */
+async function loadDriver(type) {
+  const name = DRIVER_PACKAGES[type];
+  if (!name) return null;
+  try {
+    const module = await import(name);
+    return module.default || module;
+  } catch (err) {
+    if (err.code === 'ERR_MODULE_NOT_FOUND') {
+      throw requestError('destination.driverMissing', { type, package: name }, 501);
+    }
+    throw err;
+  }
+}
+
+function assertLocalName(value, param) {
+  if (typeof value !== 'string' || !LOCAL_NAME.test(value) || /^\.+$/.test(value)) {
+    throw requestError('destination.invalidName', { param, value: String(value) });
+  }
+  return value;
+}
+
+/**
+ * File system-safe name for a file id or table name (reversible, never "." or "..")
+ */
+function safePathSegment(value) {
+  return encodeURIComponent(String(value)).replace(/^\.+/, (dots) => '%2E'.repeat(dots.length));
+}
+
+/**
+ * Validated destination config from its options ({ type, ...options }).
+ * `fallback` holds the request's supabaseUrl/supabaseKey (original form).
+ */
+function buildDestinationConfig(raw, fallback = {}) {
+  const type = raw.type || 'supabase';
+  if (!DESTINATION_TYPES.includes(type)) {
+    throw requestError('destination.invalidType', { value: type, allowed: DESTINATION_TYPES.join(', ') });
+  }
+
+  switch (type) {
+    case 'supabase': {
+      const url = raw.url || fallback.supabaseUrl;
+      const key = raw.key || fallback.supabaseKey;
+      if (!url || !key) throw requestError('sync.missingParams', { params: 'supabaseUrl, supabaseKey' });
+      return { type, url: String(url).replace(/\/+$/, ''), key };
+    }
+    case 'postgres': {
+      if (!raw.connectionString) throw requestError('sync.missingParams', { params: 'destination.connectionString' });
+      const schema = raw.schema || 'public';
+      if (!SQL_IDENTIFIER.test(schema)) throw requestError('destination.invalidName', { param: 'schema', value: schema });
+      return { type, connectionString: String(raw.connectionString), schema };
+    }
+    case 'sqlite':
+      return { type, file: assertLocalName(raw.file || 'sync.sqlite', 'file') };
+    default:
+      return { type, dir: assertLocalName(raw.dir || type, 'dir') };
+  }
+}
+
+/**
+ * Destination config for a sync request.
+ * `destinationId` names a destination configured on the server; without it,
+ * `destination` is a type name or { type, ...options }, and a request with
+ * neither goes to the default named destination. Supabase and Postgres options
+ * in the body (and the original supabaseUrl/supabaseKey form) carry credentials
+ * and are refused unless ALLOW_REQUEST_CREDENTIALS is set.
+ */
+function resolveDestinationConfig(body) {
+  if (body.destinationId !== undefined && body.destinationId !== null && body.destinationId !== '') {
+    return getNamedDestination(body.destinationId);
+  }
+
+  if (body.destination === undefined && body.supabaseUrl === undefined && body.supabaseKey === undefined) {
+    if (!DEFAULT_DESTINATION_ID) throw requestError('sync.missingParams', { params: 'destinationId' });
+    return getNamedDestination(DEFAULT_DESTINATION_ID);
+  }
+
+  const raw = typeof body.destination === 'string' ? { type: body.destination } : body.destination || {};
+  if (CREDENTIAL_DESTINATION_TYPES.includes(raw.type || 'supabase') && !ALLOW_REQUEST_CREDENTIALS) {
+    throw requestError('destination.credentialsNotAllowed', { type: raw.type || 'supabase' }, 403);
+  }
+  return buildDestinationConfig(raw, body);
+}
+
+/**
+ * Destination as shown in responses and job listings (no credentials)
+ */
+function describeDestination(config) {
+  const description = describeDestinationOptions(config);
+  return config.id ? { id: config.id, ...description } : description;
+}
+
+function describeDestinationOptions(config) {
+  switch (config.type) {
+    case 'supabase':
+      return { type: config.type, url: config.url };
+    case 'postgres': {
+      let host = config.host ?? null;
+      try {
+        host = new URL(config.connectionString).host;
+      } catch {
+        // key=value connection strings carry no URL host; split configs keep only the host
+      }
+      return { type: config.type, host, schema: config.schema };
+    }
+    case 'sqlite':
+      return { type: config.type, file: config.file };
+    default:
+      return { type: config.type, dir: config.dir };
+  }
+}
+
+/**
+ * Split a destination config into its options without credentials and the
+ * credentials themselves (null when it has none)
+ */
+function splitDestinationCredentials(config) {
+  const options = { ...config };
+  const credentials = {};
+  for (const name of CREDENTIAL_OPTIONS[config.type] || []) {
+    if (options[name] === undefined) continue;
+    credentials[name] = options[name];
+    delete options[name];
+  }
+  if (config.type === 'postgres' && config.connectionString) {
+    options.host = describeDestinationOptions(config).host;
+  }
+  return { options, credentials: Object.keys(credentials).length > 0 ? credentials : null };
+}
+
+function requiresCredentials(config) {
+  return CREDENTIAL_DESTINATION_TYPES.includes(config.type);
+}
+
+function supportsIncrementalSync(config) {
+  return INCREMENTAL_DESTINATION_TYPES.includes(config.type);
+}
+
+/**
+ * Fail early (at request time) when the destination's driver is not installed
+ */
+async function checkDestination(config) {
+  await loadDriver(config.type);
+}
+
+async function openDestination(config) {
+  const driver = await loadDriver(config.type);
+  switch (config.type) {
+    case 'supabase':
+      return createSupabaseDestination(config);
+    case 'postgres':
+      return createPostgresDestination(config, driver);
+    case 'sqlite':
+      return createSqliteDestination(config, driver);
+    default:
+      return createFileDestination(config, driver);
+  }
+}
+
+// ============================================
+// NAMED DESTINATIONS - Destination configs (and their credentials) kept on the server
+// Read at startup from SYNC_DESTINATIONS_FILE and the SYNC_DESTINATIONS
+// variable (JSON, same format, wins over the file): { "<id>": { type, ...options } }.
+// An option written as "$NAME" takes the value of the environment variable NAME,
+// so the file itself can hold no secrets. SUPABASE_URL + SUPABASE_SERVICE_KEY
+// define the "supabase" destination. Jobs journal only the id.
+// ============================================
+const SYNC_DESTINATIONS_FILE = process.env.SYNC_DESTINATIONS_FILE || path.join(__dirname, 'destinations.json');
+const ALLOW_REQUEST_CREDENTIALS = process.env.ALLOW_REQUEST_CREDENTIALS === 'true';
+
+const namedDestinations = new Map(); // id -> config (with id)
+
+function expandEnvOption(value) {
+  if (typeof value !== 'string' || !/^\$[A-Za-z_][A-Za-z0-9_]*$/.test(value)) return value;
+  const name = value.slice(1);
+  if (process.env[name] === undefined) throw new Error(`Environment variable ${name} is not set`);
+  return process.env[name];
+}
+
+function loadNamedDestinations() {
+  const entries = {};
+  if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) {
+    entries.supabase = { type: 'supabase', url: process.env.SUPABASE_URL, key: process.env.SUPABASE_SERVICE_KEY };
+  }
+  const sources = [
+    [SYNC_DESTINATIONS_FILE, () => fs.existsSync(SYNC_DESTINATIONS_FILE) && fs.readFileSync(SYNC_DESTINATIONS_FILE, 'utf8')],
+    ['SYNC_DESTINATIONS', () => process.env.SYNC_DESTINATIONS],
+  ];
+  for (const [label, read] of sources) {
+    try {
+      const text = read();
+      if (text) Object.assign(entries, JSON.parse(text));
+    } catch (e) {
+      console.error(`[destinations] Failed to load ${label}:`, e.message);
+    }
+  }
+
+  for (const [id, raw] of Object.entries(entries)) {
+    try {
+      const options = Object.fromEntries(Object.entries(raw || {}).map(([option, value]) => [option, expandEnvOption(value)]));
+      namedDestinations.set(id, { ...buildDestinationConfig(options), id });
+    } catch (e) {
+      console.error(`[destinations] Skipping destination "${id}":`, e.message);
+    }
+  }
+  if (namedDestinations.size > 0) {
+    console.log(`[destinations] Loaded ${namedDestinations.size} named destinations: ${[...namedDestinations.keys()].join(', ')}`);
+  }
+}
+
+loadNamedDestinations();
+
+// Destination of sync requests that name none
+const DEFAULT_DESTINATION_ID = process.env.SYNC_DEFAULT_DESTINATION
+  || (namedDestinations.has('supabase') ? 'supabase' : null);
+
+function getNamedDestination(id) {
+  const config = namedDestinations.get(String(id));
+  if (!config) throw requestError('destination.notFound', { id: String(id) }, 404);
+  return config;
+}
+
+function listNamedDestinations() {
+  return [...namedDestinations.values()].map(describeDestination);
+}
+
+// ============================================
+// SUPABASE - PostgREST over HTTP (access_files, access_data, access_table_metadata)
+// ============================================
+function createSupabaseDestination({ url, key }) {
+  const headers = (extra = {}) => ({ apikey: key, Authorization: `Bearer ${key}`, ...extra });
+  const writeHeaders = headers({ 'Content-Type': 'application/json', Prefer: 'return=minimal' });
+
+  const insertAccessRows = async (records) => {
+    const insertRes = await fetch(`${url}/rest/v1/access_data`, {
+      method: 'POST',
+      headers: writeHeaders,
+      body: JSON.stringify(records),
+    });
+    if (!insertRes.ok) throw new Error(await insertRes.text());
+  };
+
+  return {
+    name: `supabase ${url}`,
+
+    async updateFileStatus(fileId, fields) {
+      await fetch(`${url}/rest/v1/access_files?id=eq.${fileId}`, {
+        method: 'PATCH',
+        headers: writeHeaders,
+        body: JSON.stringify(fields),
+      });
+    },
+
+    async getRecordsSynced(fileId) {
+      const fileRes = await fetch(`${url}/rest/v1/access_files?select=records_synced&id=eq.${fileId}`, {
+        headers: headers({ Accept: 'application/vnd.pgrst.object+json' }),
+      });
+      if (!fileRes.ok) return 0;
+      const fileData = await fileRes.json();
+      return fileData?.records_synced || 0;
+    },
+
+    async listSyncedTables(fileId) {
+      const metaRes = await fetch(`${url}/rest/v1/access_table_metadata?select=table_name&access_file_id=eq.${fileId}`, {
+        headers: headers(),
+      });
+      if (!metaRes.ok) return [];
+      const meta = await metaRes.json();
+
+      // Only tables that have actual data
+      const synced = [];
+      for (const m of meta) {
+        const countRes = await fetch(
+          `${url}/rest/v1/access_data?select=id&access_file_id=eq.${fileId}&source_table=eq.${encodeURIComponent(m.table_name)}&limit=1`,
+          { headers: headers() }
+        );
+        if (countRes.ok) {
+          const data = await countRes.json();
+          if (data && data.length > 0) synced.push(m.table_name);
+        }
+      }
+      return synced;
+    },
+
+    async deleteTableRows(fileId, tableName, onBatch = () => {}) {
+      let deletedCount = 0;
+      for (;;) {
+        onBatch();
+
+        // Select IDs to delete (batch of 500)
+        const selectRes = await fetch(
+          `${url}/rest/v1/access_data?select=id&access_file_id=eq.${fileId}&source_table=eq.${encodeURIComponent(tableName)}&limit=500`,
+          { headers: headers() }
+        );
+        if (!selectRes.ok) {
+          console.error('[destination] Failed to select records:', await selectRes.text());
+          break;
+        }
+
+        const records = await selectRes.json();
+        if (!records || records.length === 0) break;
+
+        const ids = records.map((r) => r.id);
+        const deleteRes = await fetch(`${url}/rest/v1/access_data?id=in.(${ids.map((id) => `"${id}"`).join(',')})`, {
+          method: 'DELETE',
+          headers: headers({ Prefer: 'return=minimal' }),
+        });
+        if (!deleteRes.ok) {
+          console.error('[destination] Failed to delete batch:', await deleteRes.text());
+          break;
+        }
+
+        deletedCount += ids.length;
+        if (records.length < 500) break;
+      }
+      return deletedCount;
+    },
+
+    async insertRows(records) {
+      await insertAccessRows(records);
+    },
+
+    async listRowFingerprints(fileId, tableName) {
+      // Keyset pagination by id (PostgREST returns at most 1000 rows per request by default)
+      const fingerprints = [];
+      let lastId = null;
+      for (;;) {
+        const pageRes = await fetch(
+          `${url}/rest/v1/access_data?select=id,row_key,row_hash&access_file_id=eq.${fileId}&source_table=eq.${encodeURIComponent(tableName)}`
+            + `&order=id${lastId !== null ? `&id=gt.${lastId}` : ''}&limit=1000`,
+          { headers: headers() }
+        );
+        if (!pageRes.ok) throw new Error(await pageRes.text());
+        const page = await pageRes.json();
+        for (const { row_key, row_hash } of page) fingerprints.push({ row_key, row_hash });
+        if (page.length < 1000) return fingerprints;
+        lastId = page[page.length - 1].id;
+      }
+    },
+
+    async deleteRowsByKey(fileId, tableName, keys) {
+      let deletedCount = 0;
+      for (let i = 0; i < keys.length; i += ROW_KEY_BATCH_SIZE) {
+        const batch = keys.slice(i, i + ROW_KEY_BATCH_SIZE);
+        const deleteRes = await fetch(
+          `${url}/rest/v1/access_data?access_file_id=eq.${fileId}&source_table=eq.${encodeURIComponent(tableName)}`
+            + `&row_key=in.(${batch.map((key) => `"${key}"`).join(',')})`,
+          { method: 'DELETE', headers: headers({ Prefer: 'return=minimal,count=exact' }) }
+        );
+        if (!deleteRes.ok) throw new Error(await deleteRes.text());
+        deletedCount += Number(deleteRes.headers.get('content-range')?.split('/')[1]) || 0;
+      }
+      return deletedCount;
+    },
+
+    // No transaction over PostgREST: the new rows are inserted first, then the
+    // rows that held their keys before (by id, so a retry also removes the copy
+    // an earlier attempt inserted before failing)
+    async replaceRows(fileId, tableName, records, replacedKeys) {
+      const supersededIds = [];
+      for (let i = 0; i < replacedKeys.length; i += ROW_KEY_BATCH_SIZE) {
+        const batch = replacedKeys.slice(i, i + ROW_KEY_BATCH_SIZE);
+        const selectRes = await fetch(
+          `${url}/rest/v1/access_data?select=id&access_file_id=eq.${fileId}&source_table=eq.${encodeURIComponent(tableName)}`
+            + `&row_key=in.(${batch.map((key) => `"${key}"`).join(',')})`,
+          { headers: headers() }
+        );
+        if (!selectRes.ok) throw new Error(await selectRes.text());
+        for (const { id } of await selectRes.json()) supersededIds.push(id);
+      }
+
+      if (records.length > 0) await insertAccessRows(records);
+
+      for (let i = 0; i < supersededIds.length; i += ROW_KEY_BATCH_SIZE) {
+        const ids = supersededIds.slice(i, i + ROW_KEY_BATCH_SIZE);
+        const deleteRes = await fetch(`${url}/rest/v1/access_data?id=in.(${ids.map((id) => `"${id}"`).join(',')})`, {
+          method: 'DELETE',
+          headers: headers({ Prefer: 'return=minimal' }),
+        });
+        if (!deleteRes.ok) throw new Error(await deleteRes.text());
+      }
+    },
+
+    async insertStagedRows(generation, records) {
+      if (records.length === 0) return;
+      const { access_file_id: fileId, source_table: tableName } = records[0];
+      // A resumed job stages the same rows again
+      const deleteRes = await fetch(
+        `${url}/rest/v1/access_data_staging?access_file_id=eq.${fileId}&source_table=eq.${encodeURIComponent(tableName)}`
+          + `&sync_generation=eq.${encodeURIComponent(generation)}`
+          + `&row_index=gte.${records[0].row_index}&row_index=lte.${records[records.length - 1].row_index}`,
+        { method: 'DELETE', headers: headers({ Prefer: 'return=minimal' }) }
+      );
+      if (!deleteRes.ok) throw new Error(await deleteRes.text());
+      const insertRes = await fetch(`${url}/rest/v1/access_data_staging`, {
+        method: 'POST',
+        headers: writeHeaders,
+        body: JSON.stringify(records.map((record) => ({ sync_generation: generation, ...record }))),
+      });
+      if (!insertRes.ok) throw new Error(await insertRes.text());
+    },
+
+    // One transaction in the access_data_swap function (see README)
+    async swapStagedRows(fileId, tableName, generation) {
+      const swapRes = await fetch(`${url}/rest/v1/rpc/access_data_swap`, {
+        method: 'POST',
+        headers: headers({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ p_file_id: fileId, p_table: tableName, p_generation: generation }),
+      });
+      if (!swapRes.ok) throw new Error(await swapRes.text());
+      return swapRes.json();
+    },
+
+    async discardStagedRows(fileId, tableName, keepGenerations) {
+      const keep = keepGenerations.map((generation) => `"${encodeURIComponent(generation)}"`).join(',');
+      const deleteRes = await fetch(
+        `${url}/rest/v1/access_data_staging?access_file_id=eq.${fileId}&source_table=eq.${encodeURIComponent(tableName)}`
+          + (keepGenerations.length > 0 ? `&sync_generation=not.in.(${keep})` : ''),
+        { method: 'DELETE', headers: headers({ Prefer: 'return=minimal' }) }
+      );
+      if (!deleteRes.ok) throw new Error(await deleteRes.text());
+    },
+
+    async upsertTypedRows(target, records) {
+      const upsertRes = await fetch(`${url}/rest/v1/${target.table}?on_conflict=${target.key.join(',')}`, {
+        method: 'POST',
+        headers: headers({ 'Content-Type': 'application/json', Prefer: 'resolution=merge-duplicates,return=minimal' }),
+        body: JSON.stringify(records),
+      });
+      if (!upsertRes.ok) throw new Error(await upsertRes.text());
+    },
+
+    async insertImportErrors(records) {
+      const insertRes = await fetch(`${url}/rest/v1/access_import_errors`, {
+        method: 'POST',
+        headers: writeHeaders,
+        body: JSON.stringify(records),
+      });
+      if (!insertRes.ok) throw new Error(await insertRes.text());
+    },
+
+    async deleteTypedRows(fileId, tableName, target) {
+      let deletedCount = 0;
+      for (const table of [target.table, 'access_import_errors']) {
+        const deleteRes = await fetch(
+          `${url}/rest/v1/${table}?access_file_id=eq.${fileId}&source_table=eq.${encodeURIComponent(tableName)}`,
+          { method: 'DELETE', headers: headers({ Prefer: 'return=minimal,count=exact' }) }
+        );
+        if (!deleteRes.ok) {
+          console.error(`[destination] Failed to delete from ${table}:`, await deleteRes.text());
+          continue;
+        }
+        // Content-Range: */<count>
+        if (table === target.table) deletedCount = Number(deleteRes.headers.get('content-range')?.split('/')[1]) || 0;
+      }
+      return deletedCount;
+    },
+
+    async saveTableMetadata(meta) {
+      const metadataRes = await fetch(
+        `${url}/rest/v1/access_table_metadata?access_file_id=eq.${meta.access_file_id}&table_name=eq.${encodeURIComponent(meta.table_name)}`,
+        { headers: headers() }
+      );
+      const existingMeta = await metadataRes.json();
+
+      if (existingMeta && existingMeta.length > 0) {
+        await fetch(`${url}/rest/v1/access_table_metadata?id=eq.${existingMeta[0].id}`, {
+          method: 'PATCH',
+          headers: writeHeaders,
+          body: JSON.stringify(meta),
+        });
+      } else {
+        await fetch(`${url}/rest/v1/access_table_metadata`, {
+          method: 'POST',
+          headers: writeHeaders,
+          body: JSON.stringify(meta),
+        });
+      }
+    },
+
+    async close() {},
+  };
+}
+
+// ============================================
+// SQL - The same tables in PostgreSQL or a local SQLite file
+// Tables are created when missing; existing ones (e.g. Supabase's own
+// database reached by connection string) are used as they are, except that
+// typed tables get the unique index on their key the upsert relies on.
+// ============================================
+const FILE_STATUS_COLUMNS = ['sync_status', 'last_synced_at', 'current_table', 'tables_synced', 'records_synced'];
+
+function sqlSchema({ serial, json, timestamp }, prefix = '') {
+  return [
+    `CREATE TABLE IF NOT EXISTS ${prefix}access_files (
+      id TEXT PRIMARY KEY,
+      sync_status TEXT,
+      last_synced_at ${timestamp},
+      current_table TEXT,
+      tables_synced INTEGER,
+      records_synced INTEGER
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${prefix}access_data (
+      id ${serial},
+      access_file_id TEXT NOT NULL,
+      source_table TEXT NOT NULL,
+      row_index INTEGER NOT NULL,
+      row_data ${json} NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS access_data_file_table_idx ON ${prefix}access_data (access_file_id, source_table)`,
+    `CREATE TABLE IF NOT EXISTS ${prefix}access_data_staging (
+      id ${serial},
+      sync_generation TEXT NOT NULL,
+      access_file_id TEXT NOT NULL,
+      source_table TEXT NOT NULL,
+      row_index INTEGER NOT NULL,
+      row_data ${json} NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS access_data_staging_generation_idx ON ${prefix}access_data_staging (access_file_id, source_table, sync_generation)`,
+    `CREATE TABLE IF NOT EXISTS ${prefix}access_table_metadata (
+      access_file_id TEXT NOT NULL,
+      table_name TEXT NOT NULL,
+      row_count INTEGER,
+      column_names ${json},
+      last_synced_at ${timestamp},
+      PRIMARY KEY (access_file_id, table_name)
+    )`,
+    `CREATE TABLE IF NOT EXISTS ${prefix}access_import_errors (
+      id ${serial},
+      access_file_id TEXT NOT NULL,
+      source_table TEXT NOT NULL,
+      row_index INTEGER NOT NULL,
+      data_type TEXT NOT NULL,
+      errors ${json} NOT NULL,
+      warnings ${json},
+      row_data ${json},
+      created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE INDEX IF NOT EXISTS access_import_errors_file_table_idx ON ${prefix}access_import_errors (access_file_id, source_table)`,
+  ];
+}
+
+// access_data columns added after its first release; older tables get them when opened
+const ACCESS_DATA_ADDED_COLUMNS = ['row_key', 'row_hash'];
+
+function rowKeyIndex(prefix = '') {
+  return `CREATE INDEX IF NOT EXISTS access_data_row_key_idx ON ${prefix}access_data (access_file_id, source_table, row_key)`;
+}
+
+/**
+ * Typed table of a sync target, with a unique index on its key for the upsert
+ * (also added to an existing table of that name)
+ */
+function typedTableSchema({ serial, number, date }, prefix, { table, key, columns }) {
+  const columnTypes = { text: 'TEXT', number, date };
+  return [
+    `CREATE TABLE IF NOT EXISTS ${prefix}${table} (
+      id ${serial},
+      ${columns.map(({ name, type }) => `"${name}" ${columnTypes[type]}`).join(',\n      ')},
+      access_file_id TEXT NOT NULL,
+      source_table TEXT NOT NULL,
+      row_index INTEGER NOT NULL
+    )`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS ${table}_sync_key_idx ON ${prefix}${table} (${key.map((name) => `"${name}"`).join(', ')})`,
+  ];
+}
+
+/**
+ * Adapter over a minimal SQL client: query(sql, params) -> { rows, rowCount },
+ * transaction(fn) running fn(query) in one transaction, placeholder(n) for the
+ * n-th parameter (1-based), types (column types for sqlSchema/typedTableSchema) and close()
+ */
+function createSqlDestination(name, db, prefix) {
+  const p = db.placeholder;
+  const typedTables = new Set(); // typed tables created (or checked) by this adapter
+
+  const ensureTypedTable = async (target) => {
+    if (typedTables.has(target.table)) return;
+    for (const statement of typedTableSchema(db.types, prefix, target)) {
+      await db.query(statement, []);
+    }
+    typedTables.add(target.table);
+  };
+
+  const insertValues = (columns, records, toValues) => {
+    const values = [];
+    const tuples = records.map((record) => {
+      const base = values.length;
+      values.push(...toValues(record));
+      return `(${columns.map((_, i) => p(base + i + 1)).join(', ')})`;
+    });
+    return { tuples: tuples.join(', '), values };
+  };
+
+  // access_data writes shared by the plain methods (db.query) and replaceRows (a transaction's query)
+  const insertAccessRows = async (query, records) => {
+    if (records.length === 0) return;
+    const columns = ['access_file_id', 'source_table', 'row_index', 'row_data', 'row_key', 'row_hash'];
+    const { tuples, values } = insertValues(columns, records, (record) => [
+      record.access_file_id, record.source_table, record.row_index, JSON.stringify(record.row_data),
+      record.row_key ?? null, record.row_hash ?? null,
+    ]);
+    await query(`INSERT INTO ${prefix}access_data (${columns.join(', ')}) VALUES ${tuples}`, values);
+  };
+
+  const deleteAccessRowsByKey = async (query, fileId, tableName, keys) => {
+    let deletedCount = 0;
+    for (let i = 0; i < keys.length; i += ROW_KEY_BATCH_SIZE) {
+      const batch = keys.slice(i, i + ROW_KEY_BATCH_SIZE);
+      const { rowCount } = await query(
+        `DELETE FROM ${prefix}access_data WHERE access_file_id = ${p(1)} AND source_table = ${p(2)}
+         AND row_key IN (${batch.map((_, j) => p(j + 3)).join(', ')})`,
+        [fileId, tableName, ...batch]
+      );
+      deletedCount += rowCount;
+    }
+    return deletedCount;
+  };
+
+  const updateOrInsert = async (table, where, fields) => {
+    const columns = Object.keys(fields);
+    const whereColumns = Object.keys(where);
+    const values = [...columns.map((c) => fields[c]), ...whereColumns.map((c) => where[c])];
+    const { rowCount } = await db.query(
+      `UPDATE ${prefix}${table} SET ${columns.map((c, i) => `${c} = ${p(i + 1)}`).join(', ')}
+       WHERE ${whereColumns.map((c, i) => `${c} = ${p(columns.length + i + 1)}`).join(' AND ')}`,
+      values
+    );
+    if (rowCount > 0) return;
+    const insertColumns = [...whereColumns, ...columns];
+    await db.query(
+      `INSERT INTO ${prefix}${table} (${insertColumns.join(', ')}) VALUES (${insertColumns.map((_, i) => p(i + 1)).join(', ')})`,
+      [...whereColumns.map((c) => where[c]), ...columns.map((c) => fields[c])]
+    );
+  };
+
+  return {
+    name,
+
+    async updateFileStatus(fileId, fields) {
+      const known = Object.fromEntries(Object.entries(fields).filter(([column]) => FILE_STATUS_COLUMNS.includes(column)));
+      await updateOrInsert('access_files', { id: fileId }, known);
+    },
+
+    async getRecordsSynced(fileId) {
+      const { rows } = await db.query(`SELECT records_synced FROM ${prefix}access_files WHERE id = ${p(1)}`, [fileId]);
+      return rows[0]?.records_synced || 0;
+    },
+
+    async listSyncedTables(fileId) {
+      const { rows } = await db.query(
+        `SELECT m.table_name FROM ${prefix}access_table_metadata m
+         WHERE m.access_file_id = ${p(1)}
+           AND EXISTS (SELECT 1 FROM ${prefix}access_data d WHERE d.access_file_id = m.access_file_id AND d.source_table = m.table_name)`,
+        [fileId]
+      );
+      return rows.map((row) => row.table_name);
+    },
+
+    async deleteTableRows(fileId, tableName, onBatch = () => {}) {
+      onBatch();
+      const { rowCount } = await db.query(
+        `DELETE FROM ${prefix}access_data WHERE access_file_id = ${p(1)} AND source_table = ${p(2)}`,
+        [fileId, tableName]
+      );
+      return rowCount;
+    },
+
+    async insertRows(records) {
+      await insertAccessRows(db.query, records);
+    },
+
+    async listRowFingerprints(fileId, tableName) {
+      const { rows } = await db.query(
+        `SELECT row_key, row_hash FROM ${prefix}access_data WHERE access_file_id = ${p(1)} AND source_table = ${p(2)}`,
+        [fileId, tableName]
+      );
+      return rows;
+    },
+
+    async deleteRowsByKey(fileId, tableName, keys) {
+      return deleteAccessRowsByKey(db.query, fileId, tableName, keys);
+    },
+
+    async replaceRows(fileId, tableName, records, replacedKeys) {
+      await db.transaction(async (query) => {
+        await deleteAccessRowsByKey(query, fileId, tableName, replacedKeys);
+        await insertAccessRows(query, records);
+      });
+    },
+
+    async insertStagedRows(generation, records) {
+      if (records.length === 0) return;
+      const { access_file_id: fileId, source_table: tableName } = records[0];
+      const columns = ['sync_generation', 'access_file_id', 'source_table', 'row_index', 'row_data'];
+      const { tuples, values } = insertValues(columns, records, (record) => [
+        generation, record.access_file_id, record.source_table, record.row_index, JSON.stringify(record.row_data),
+      ]);
+      await db.transaction(async (query) => {
+        // A resumed job stages the same rows again
+        await query(
+          `DELETE FROM ${prefix}access_data_staging WHERE access_file_id = ${p(1)} AND source_table = ${p(2)}
+           AND sync_generation = ${p(3)} AND row_index BETWEEN ${p(4)} AND ${p(5)}`,
+          [fileId, tableName, generation, records[0].row_index, records[records.length - 1].row_index]
+        );
+        await query(`INSERT INTO ${prefix}access_data_staging (${columns.join(', ')}) VALUES ${tuples}`, values);
+      });
+    },
+
+    async swapStagedRows(fileId, tableName, generation) {
+      const staged = `FROM ${prefix}access_data_staging
+         WHERE access_file_id = ${p(1)} AND source_table = ${p(2)} AND sync_generation = ${p(3)}`;
+      const params = [fileId, tableName, generation];
+      return db.transaction(async (query) => {
+        const { rows } = await query(`SELECT COUNT(*) AS count ${staged}`, params);
+        if (Number(rows[0].count) === 0) return null;
+        const { rowCount } = await query(
+          `DELETE FROM ${prefix}access_data WHERE access_file_id = ${p(1)} AND source_table = ${p(2)}`,
+          [fileId, tableName]
+        );
+        await query(
+          `INSERT INTO ${prefix}access_data (access_file_id, source_table, row_index, row_data)
+           SELECT access_file_id, source_table, row_index, row_data ${staged} ORDER BY row_index`,
+          params
+        );
+        await query(`DELETE ${staged}`, params);
+        return rowCount;
+      });
+    },
+
+    async discardStagedRows(fileId, tableName, keepGenerations) {
+      const keep = keepGenerations.length > 0
+        ? ` AND sync_generation NOT IN (${keepGenerations.map((_, i) => p(i + 3)).join(', ')})`
+        : '';
+      await db.query(
+        `DELETE FROM ${prefix}access_data_staging WHERE access_file_id = ${p(1)} AND source_table = ${p(2)}${keep}`,
+        [fileId, tableName, ...keepGenerations]
+      );
+    },
+
+    async upsertTypedRows(target, records) {
+      if (records.length === 0) return;
+      await ensureTypedTable(target);
+      const columns = [...target.columns.map((column) => column.name), 'access_file_id', 'source_table', 'row_index'];
+      const { tuples, values } = insertValues(columns, records, (record) => columns.map((column) => record[column] ?? null));
+      const updates = columns.filter((column) => !target.key.includes(column)).map((column) => `"${column}" = excluded."${column}"`);
+      await db.query(
+        `INSERT INTO ${prefix}${target.table} (${columns.map((column) => `"${column}"`).join(', ')}) VALUES ${tuples}
+         ON CONFLICT (${target.key.map((column) => `"${column}"`).join(', ')}) DO UPDATE SET ${updates.join(', ')}`,
+        values
+      );
+    },
+
+    async insertImportErrors(records) {
+      if (records.length === 0) return;
+      const columns = ['access_file_id', 'source_table', 'row_index', 'data_type', 'errors', 'warnings', 'row_data'];
+      const { tuples, values } = insertValues(columns, records, (record) => [
+        record.access_file_id, record.source_table, record.row_index, record.data_type,
+        JSON.stringify(record.errors), JSON.stringify(record.warnings), JSON.stringify(record.row_data),
+      ]);
+      await db.query(`INSERT INTO ${prefix}access_import_errors (${columns.join(', ')}) VALUES ${tuples}`, values);
+    },
+
+    async deleteTypedRows(fileId, tableName, target) {
+      await ensureTypedTable(target);
+      const { rowCount } = await db.query(
+        `DELETE FROM ${prefix}${target.table} WHERE access_file_id = ${p(1)} AND source_table = ${p(2)}`,
+        [fileId, tableName]
+      );
+      await db.query(
+        `DELETE FROM ${prefix}access_import_errors WHERE access_file_id = ${p(1)} AND source_table = ${p(2)}`,
+        [fileId, tableName]
+      );
+      return rowCount;
+    },
+
+    async saveTableMetadata(meta) {
+      const { access_file_id, table_name, ...fields } = meta;
+      await updateOrInsert(
+        'access_table_metadata',
+        { access_file_id, table_name },
+        { ...fields, column_names: JSON.stringify(fields.column_names) }
+      );
+    },
+
+    close: () => db.close(),
+  };
+}
+
+async function createPostgresDestination({ connectionString, schema }, pg) {
+  const pool = new pg.Pool({ connectionString, max: 2 });
+  const prefix = `"${schema}".`;
+  const types = { serial: 'BIGSERIAL PRIMARY KEY', json: 'JSONB', timestamp: 'TIMESTAMPTZ', number: 'DOUBLE PRECISION', date: 'DATE' };
+  const db = {
+    placeholder: (n) => `$${n}`,
+    types,
+    query: (sql, params) => pool.query(sql, params),
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        const result = await fn((sql, params) => client.query(sql, params));
+        await client.query('COMMIT');
+        return result;
+      } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+    close: () => pool.end(),
+  };
+  try {
+    await pool.query(`CREATE SCHEMA IF NOT EXISTS "${schema}"`);
+    for (const statement of sqlSchema(types, prefix)) {
+      await pool.query(statement);
+    }
+    for (const column of ACCESS_DATA_ADDED_COLUMNS) {
+      await pool.query(`ALTER TABLE ${prefix}access_data ADD COLUMN IF NOT EXISTS ${column} TEXT`);
+    }
+    await pool.query(rowKeyIndex(prefix));
+  } catch (err) {
+    await pool.end();
+    throw err;
+  }
+  const { host } = describeDestination({ type: 'postgres', connectionString, schema });
+  return createSqlDestination(`postgres ${host || 'database'} (${schema})`, db, prefix);
+}
+
+function createSqliteDestination({ file }, Database) {
+  fs.mkdirSync(SYNC_EXPORT_DIR, { recursive: true });
+  const sqlite = new Database(path.join(SYNC_EXPORT_DIR, file));
+  sqlite.pragma('journal_mode = WAL');
+  const types = { serial: 'INTEGER PRIMARY KEY AUTOINCREMENT', json: 'TEXT', timestamp: 'TEXT', number: 'REAL', date: 'TEXT' };
+  for (const statement of sqlSchema(types)) {
+    sqlite.exec(statement);
+  }
+  const accessDataColumns = sqlite.pragma('table_info(access_data)').map((column) => column.name);
+  for (const column of ACCESS_DATA_ADDED_COLUMNS.filter((name) => !accessDataColumns.includes(name))) {
+    sqlite.exec(`ALTER TABLE access_data ADD COLUMN ${column} TEXT`);
+  }
+  sqlite.exec(rowKeyIndex());
+
+  const query = async (sql, params) => {
+    const statement = sqlite.prepare(sql);
+    if (statement.reader) return { rows: statement.all(params), rowCount: 0 };
+    const { changes } = statement.run(params);
+    return { rows: [], rowCount: changes };
+  };
+  const db = {
+    placeholder: () => '?',
+    types,
+    query,
+    async transaction(fn) {
+      sqlite.exec('BEGIN IMMEDIATE');
+      try {
+        const result = await fn(query);
+        sqlite.exec('COMMIT');
+        return result;
+      } catch (err) {
+        if (sqlite.inTransaction) sqlite.exec('ROLLBACK');
+        throw err;
+      }
+    },
+    close: async () => sqlite.close(),
+  };
+  return createSqlDestination(`sqlite ${file}`, db, '');
+}
+
+// ============================================
+// FILES - NDJSON or Parquet under SYNC_EXPORT_DIR/<dir>/<fileId>/
+//   <table>/part-<first row index>.ndjson|.parquet  one file per inserted batch
+//   _typed/<typed table>/<table>/part-...          typed records (typed sync mode)
+//   _errors/<table>/part-...                       rejected rows (typed sync mode)
+//   _staging/<generation>/<table>/part-...         staged rows (atomic sync), renamed into place by the swap
+//   _sync.json                                     file status and table metadata
+// Batches are written to a temp file and renamed, and a resumed job rewrites
+// the same part, so an interrupted sync never leaves duplicate rows.
+// ============================================
+function createFileDestination({ type, dir }, parquet) {
+  const root = path.join(SYNC_EXPORT_DIR, dir);
+  const fileDir = (fileId) => path.join(root, safePathSegment(fileId));
+  const tableDir = (fileId, tableName) => path.join(fileDir(fileId), safePathSegment(tableName));
+  const typedDir = (fileId, tableName, target) => path.join(fileDir(fileId), '_typed', target.table, safePathSegment(tableName));
+  const errorsDir = (fileId, tableName) => path.join(fileDir(fileId), '_errors', safePathSegment(tableName));
+  const stagingRoot = (fileId) => path.join(fileDir(fileId), '_staging');
+  const stagingDir = (fileId, generation, tableName) => path.join(stagingRoot(fileId), safePathSegment(generation), safePathSegment(tableName));
+  const statePath = (fileId) => path.join(fileDir(fileId), '_sync.json');
+
+  const readState = (fileId) => {
+    try {
+      return JSON.parse(fs.readFileSync(statePath(fileId), 'utf8'));
+    } catch {
+      return { file: {}, tables: {} };
+    }
+  };
+  const writeState = (fileId, state) => {
+    fs.mkdirSync(fileDir(fileId), { recursive: true });
+    const tmpPath = `${statePath(fileId)}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, statePath(fileId));
+  };
+  const hasParts = (dirPath) => {
+    try {
+      return fs.readdirSync(dirPath).some((name) => name.startsWith('part-'));
+    } catch {
+      return false;
+    }
+  };
+
+  // Parquet layouts: column schema plus the columns stored as JSON text
+  const provenanceColumns = {
+    access_file_id: { type: 'UTF8' },
+    source_table: { type: 'UTF8' },
+    row_index: { type: 'INT64' },
+  };
+  const rawLayout = parquet && {
+    schema: new parquet.ParquetSchema({ ...provenanceColumns, row_data: { type: 'UTF8', compression: 'GZIP' } }),
+    jsonColumns: ['row_data'],
+  };
+  const errorsLayout = parquet && {
+    schema: new parquet.ParquetSchema({
+      ...provenanceColumns,
+      data_type: { type: 'UTF8' },
+      errors: { type: 'UTF8', compression: 'GZIP' },
+      warnings: { type: 'UTF8', compression: 'GZIP' },
+      row_data: { type: 'UTF8', compression: 'GZIP' },
+    }),
+    jsonColumns: ['errors', 'warnings', 'row_data'],
+  };
+  const typedLayouts = new Map(); // typed table -> layout
+  const typedLayout = (target) => {
+    if (!parquet) return null;
+    if (!typedLayouts.has(target.table)) {
+      const columns = Object.fromEntries(target.columns.map(({ name, type: columnType }) => [
+        name,
+        { type: columnType === 'number' ? 'DOUBLE' : 'UTF8', optional: true },
+      ]));
+      typedLayouts.set(target.table, { schema: new parquet.ParquetSchema({ ...columns, ...provenanceColumns }), jsonColumns: [] });
+    }
+    return typedLayouts.get(target.table);
+  };
+
+  const writePart = async (filePath, records, layout) => {
+    if (type === 'ndjson') {
+      fs.writeFileSync(filePath, records.map((record) => `${JSON.stringify(record)}\n`).join(''));
+      return;
+    }
+    const writer = await parquet.ParquetWriter.openFile(layout.schema, filePath);
+    for (const record of records) {
+      const row = { ...record };
+      for (const column of layout.jsonColumns) row[column] = JSON.stringify(record[column]);
+      // Parquet optional columns are left out rather than null
+      for (const column of Object.keys(row)) if (row[column] === null || row[column] === undefined) delete row[column];
+      await writer.appendRow(row);
+    }
+    await writer.close();
+  };
+
+  /**
+   * Write a batch as <dirPath>/part-<first row index> (temp file + rename)
+   */
+  const writeBatch = async (dirPath, records, layout) => {
+    fs.mkdirSync(dirPath, { recursive: true });
+    const filePath = path.join(dirPath, `part-${String(records[0].row_index).padStart(9, '0')}.${type}`);
+    const tmpPath = `${filePath}.tmp`;
+    try {
+      await writePart(tmpPath, records, layout);
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      fs.rmSync(tmpPath, { force: true });
+      throw err;
+    }
+  };
+
+  return {
+    name: `${type} ${path.relative(SYNC_EXPORT_DIR, root)}`,
+
+    async updateFileStatus(fileId, fields) {
+      const state = readState(fileId);
+      state.file = { ...state.file, ...fields };
+      writeState(fileId, state);
+    },
+
+    async getRecordsSynced(fileId) {
+      return readState(fileId).file.records_synced || 0;
+    },
+
+    async listSyncedTables(fileId) {
+      return Object.keys(readState(fileId).tables).filter((tableName) => hasParts(tableDir(fileId, tableName)));
+    },
+
+    async deleteTableRows(fileId, tableName, onBatch = () => {}) {
+      onBatch();
+      const count = hasParts(tableDir(fileId, tableName)) ? readState(fileId).tables[tableName]?.row_count || 0 : 0;
+      await fs.promises.rm(tableDir(fileId, tableName), { recursive: true, force: true });
+      return count;
+    },
+
+    async insertRows(records) {
+      if (records.length === 0) return;
+      const { access_file_id: fileId, source_table: tableName } = records[0];
+      await writeBatch(tableDir(fileId, tableName), records, rawLayout);
+    },
+
+    async insertStagedRows(generation, records) {
+      if (records.length === 0) return;
+      const { access_file_id: fileId, source_table: tableName } = records[0];
+      await writeBatch(stagingDir(fileId, generation, tableName), records, rawLayout);
+    },
+
+    // Two renames: the current parts move aside, the staged ones take their place
+    async swapStagedRows(fileId, tableName, generation) {
+      const stagedPath = stagingDir(fileId, generation, tableName);
+      if (!hasParts(stagedPath)) return null;
+      const currentPath = tableDir(fileId, tableName);
+      const replacedPath = `${stagedPath}.replaced`;
+      const count = hasParts(currentPath) ? readState(fileId).tables[tableName]?.row_count || 0 : 0;
+      await fs.promises.rm(replacedPath, { recursive: true, force: true });
+      if (fs.existsSync(currentPath)) await fs.promises.rename(currentPath, replacedPath);
+      await fs.promises.rename(stagedPath, currentPath);
+      await fs.promises.rm(replacedPath, { recursive: true, force: true });
+      await fs.promises.rmdir(path.dirname(stagedPath)).catch(() => {}); // the generation's last table
+      return count;
+    },
+
+    async discardStagedRows(fileId, tableName, keepGenerations) {
+      let generations;
+      try {
+        generations = fs.readdirSync(stagingRoot(fileId));
+      } catch {
+        return;
+      }
+      const keep = keepGenerations.map(safePathSegment);
+      for (const generation of generations.filter((name) => !keep.includes(name))) {
+        const stagedPath = path.join(stagingRoot(fileId), generation, safePathSegment(tableName));
+        await fs.promises.rm(stagedPath, { recursive: true, force: true });
+        await fs.promises.rm(`${stagedPath}.replaced`, { recursive: true, force: true });
+        await fs.promises.rmdir(path.dirname(stagedPath)).catch(() => {});
+      }
+    },
+
+    // Files have no keys to upsert by: a re-sync replaces the parts (deleteTypedRows first)
+    async upsertTypedRows(target, records) {
+      if (records.length === 0) return;
+      const { access_file_id: fileId, source_table: tableName } = records[0];
+      await writeBatch(typedDir(fileId, tableName, target), records, typedLayout(target));
+    },
+
+    async insertImportErrors(records) {
+      if (records.length === 0) return;
+      const { access_file_id: fileId, source_table: tableName } = records[0];
+      await writeBatch(errorsDir(fileId, tableName), records, errorsLayout);
+    },
+
+    async deleteTypedRows(fileId, tableName, target) {
+      const count = hasParts(typedDir(fileId, tableName, target)) ? readState(fileId).tables[tableName]?.row_count || 0 : 0;
+      await fs.promises.rm(typedDir(fileId, tableName, target), { recursive: true, force: true });
+      await fs.promises.rm(errorsDir(fileId, tableName), { recursive: true, force: true });
+      return count;
+    },
+
+    async saveTableMetadata(meta) {
+      const state = readState(meta.access_file_id);
+      state.tables[meta.table_name] = meta;
+      writeState(meta.access_file_id, state);
+    },
+
+    async close() {},
+  };
+}
+
+export {
+  DESTINATION_TYPES,
+  SYNC_EXPORT_DIR,
+  ALLOW_REQUEST_CREDENTIALS,
+  DEFAULT_DESTINATION_ID,
+  resolveDestinationConfig,
+  getNamedDestination,
+  listNamedDestinations,
+  describeDestination,
+  splitDestinationCredentials,
+  requiresCredentials,
+  checkDestination,
+  supportsIncrementalSync,
+  openDestination,
+};
@@ -0,0 +1,2428 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// ============================================
+// PARSING - Schemas, validation rules and value parsers
+// Shared by server.js (mapping, detection, schema descriptions) and
+// access-worker.js (row parsing and validation next to the MDBReader).
+// Everything here is synchronous and free of HTTP concerns.
+// ============================================
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// ============================================
+// HEADER TOKENS - Accent folding and unit suffixes of source headers
+// ============================================
+const HEADER_UNIT_TOKENS = new Set([
+  'bbl', 'bbls', 'stb', 'bopd', 'bpd', 'm3', 'sm3', 'scf', 'mscf', 'mmscf', 'psi', 'psia', 'psig',
+  'bar', 'barg', 'kpa', 'degf', 'degc', 'ft', 'pct', 'mbbl', 'mmbbl', 'bwpd', 'mscfd', 'mmscfd', 'bscf',
+  'bara', 'mpa', 'atm', 'e3m3',
+]);
+const HEADER_STOPWORDS = new Set(['do', 'da', 'de', 'dos', 'das', 'of', 'the', 'em']);
+
+function foldAccents(str) {
+  return String(str).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split a header into comparable tokens.
+ * Accents are folded, camelCase/underscores split, and unit suffixes like "(bbl)" or a
+ * trailing "_psi" are stripped and returned separately.
+ */
+function tokenizeHeader(header) {
+  let unit = null;
+  let text = String(header).replace(/([a-z])([A-Z])/g, '$1 $2');
+
+  const bracketed = text.match(/[([]([^)\]]*)[)\]]\s*$/);
+  if (bracketed) {
+    unit = bracketed[1].trim() || null;
+    text = text.slice(0, bracketed.index);
+  }
+
+  let tokens = foldAccents(text)
+    .replace(/%/g, ' pct ')
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t && !HEADER_STOPWORDS.has(t));
+
+  if (tokens.length > 1 && HEADER_UNIT_TOKENS.has(tokens[tokens.length - 1])) {
+    unit = unit || tokens[tokens.length - 1];
+    tokens = tokens.slice(0, -1);
+  }
+
+  return { tokens, unit };
+}
+
+// ============================================
+// I18N - Message catalogs for endpoint errors and row validation
+// The request locale is resolved in server.js (resolveLocale). Keys are
+// dotted paths into the catalogs; {name} placeholders are filled from params.
+// ============================================
+const SUPPORTED_LOCALES = ['pt-BR', 'pt-AO', 'en'];
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'pt-BR';
+
+// pt-AO only overrides what differs from pt-BR
+const LOCALE_FALLBACKS = { 'pt-BR': [], 'pt-AO': ['pt-BR'], en: [] };
+
+const messageCatalogs = {
+  'pt-BR': {
+    upload: {
+      invalidFilename: 'Nome do arquivo inválido',
+      missingUploadId: 'uploadId não fornecido',
+      notFound: 'Upload não encontrado ou expirado. Reenvie o arquivo.',
+      invalidIndex: 'index inválido',
+      invalidTotalChunks: 'totalChunks inválido',
+      missingTotalChunks: 'totalChunks ausente/ inválido',
+      missingChunk: 'Chunk não fornecido',
+      chunkMissing: 'Chunk ausente: {index}/{last}',
+      notReceiving: 'Upload não aceita mais chunks ({status})',
+      invalidChecksum: 'sha256 inválido: {value} (esperado hexadecimal com 64 caracteres)',
+      invalidSize: 'size inválido: {value}',
+      chunkChecksumMismatch: 'Chunk {index} corrompido: sha256 não confere. Reenvie o chunk.',
+      sizeMismatch: 'Tamanho do arquivo não confere: esperado {expected} bytes, recebido {actual}',
+      checksumMismatch: 'sha256 do arquivo não confere. Reenvie os chunks e finalize novamente.',
+      initFailed: 'Erro ao iniciar upload',
+      statusFailed: 'Erro ao obter status do upload',
+      chunkFailed: 'Erro ao receber chunk',
+      completeFailed: 'Erro ao finalizar upload',
+      abortFailed: 'Erro ao abortar upload',
+    },
+    file: {
+      missing: 'Arquivo não fornecido',
+      missingOrExpired: 'Arquivo não fornecido. Sessão pode ter expirado - faça upload novamente.',
+      processFailed: 'Erro ao processar arquivo',
+      missingUrl: 'URL do arquivo não fornecida',
+      downloadFailed: 'Erro ao baixar arquivo: {status}',
+    },
+    download: {
+      invalidUrl: 'URL do arquivo inválida',
+      protocolNotAllowed: 'Protocolo não permitido para download: {protocol}',
+      hostNotAllowed: 'Host não permitido para download: {host}',
+      tooManyRedirects: 'Redirecionamentos demais ao baixar o arquivo (limite {limit})',
+      tooLarge: 'Arquivo excede o tamanho máximo de download ({limit} bytes)',
+      timeout: 'Download excedeu o tempo limite de {seconds}s',
+      resumeFailed: 'O servidor de origem não retomou o download do ponto interrompido',
+      sizeMismatch: 'Tamanho do download não confere: esperado {expected} bytes, recebido {actual}',
+    },
+    session: {
+      notFound: 'Sessão não encontrada. Faça upload novamente.',
+      fileNotFound: 'Arquivo da sessão não encontrado. Faça upload novamente.',
+    },
+    worker: {
+      busy: 'Servidor ocupado: fila de processamento cheia ({limit} tarefas). Tente novamente em instantes.',
+      timeout: 'Processamento excedeu o tempo limite de {seconds}s',
+    },
+    table: {
+      missingName: 'Nome da tabela não fornecido',
+      processFailed: 'Erro ao processar tabela',
+    },
+    params: {
+      invalidDataType: 'dataType inválido: {value}. Use: {allowed}',
+      invalidRuleSet: 'ruleSet inválido: {value}. Use: {allowed}',
+      invalidNumberFormat: 'numberFormat inválido: {value}. Use: {allowed}',
+      invalidDateFormat: 'Formato de data inválido: {value} (use yyyy, yy, mm, m, dd, d, mon)',
+      invalidTimezone: 'Fuso horário inválido: {value}',
+      invalidCoordinateSystem: 'coordinateSystem inválido: {value}. Use: {allowed}',
+      invalidColumnUnits: 'columnUnits deve ser um objeto JSON { coluna: unidade }',
+      unknownUnit: 'Unidade desconhecida para {column}: {unit}',
+      unitMismatch: 'Unidade {unit} não se aplica a {column} ({field}). Use: {allowed}',
+      invalidColumnMap: 'columnMap deve ser um objeto JSON { coluna: campo }',
+      columnMapUnknownColumn: 'columnMap: coluna não encontrada na tabela: {column}',
+      columnMapInvalidTarget: 'columnMap: campo de destino inválido para {dataType}: {target}',
+    },
+    profile: {
+      notFound: 'Perfil de mapeamento não encontrado: {id}',
+      missingId: 'Informe id ou name do perfil',
+      exists: 'Perfil já existe: {id}',
+      defaultReadOnly: 'O perfil padrão não pode ser alterado',
+      defaultUndeletable: 'O perfil padrão não pode ser removido',
+      invalidSection: 'Mapeamento "{dataType}" deve ser um objeto { coluna: campo }',
+      invalidTarget: 'Campo de destino inválido para {dataType}: {target}',
+      createFailed: 'Erro ao criar perfil',
+      updateFailed: 'Erro ao atualizar perfil',
+    },
+    suggest: {
+      failed: 'Erro ao sugerir mapeamento',
+    },
+    sync: {
+      missingParams: 'Parâmetros obrigatórios: {params}',
+      started: 'Sincronização iniciada em background',
+      invalidMode: 'Modo de sincronização inválido: {value}. Use: {allowed}',
+      typedUnsupported: 'O tipo de dados "{dataType}" não tem tabela tipada (disponíveis: {allowed})',
+      invalidStrategy: 'Estratégia de sincronização inválida: {value}. Use: {allowed}',
+      strategyRawOnly: 'A estratégia {strategy} só está disponível no modo raw',
+      strategyUnsupported: 'O destino {type} não suporta a estratégia {strategy}',
+      invalidKeyColumns: 'keyColumns deve ser uma lista de colunas (ou { tabela: [colunas] } em /sync-all-to-supabase)',
+      keyTableNotFound: 'keyColumns: tabela não encontrada: {table}',
+      unknownKeyColumn: 'keyColumns: coluna não encontrada em {table}: {column}',
+      missingRequiredFields: 'Campos obrigatórios sem coluna mapeada em {table}: {fields}',
+      duplicateKey: 'Mesma chave ({key}) da linha {row}, que foi gravada no lugar desta',
+      stagedWriteFailed: 'Falha ao gravar as linhas {first}-{last} de {table}; a tabela não foi alterada',
+      stagedRowsMissing: 'Linhas preparadas de {table} não encontradas (geração {generation}); a tabela não foi alterada',
+    },
+    destination: {
+      invalidType: 'Destino inválido: {value}. Use: {allowed}',
+      invalidName: '{param} inválido: "{value}"',
+      driverMissing: 'Destino {type} indisponível: instale o pacote {package}',
+      unavailable: 'Erro ao preparar o destino da sincronização',
+      notFound: 'Destino não configurado no servidor: {id}',
+      credentialsNotAllowed: 'Credenciais do destino {type} não são aceitas na requisição: use destinationId com um destino configurado no servidor',
+    },
+    job: {
+      notFound: 'Job não encontrado',
+      alreadyFinished: 'Job já finalizado ({status})',
+      fileMissing: 'Arquivo da sessão não encontrado.',
+      credentialsLost: 'As credenciais do destino enviadas na requisição não são gravadas em disco e se perderam com o reinício do servidor. Envie a sincronização novamente ou use um destino configurado no servidor.',
+    },
+    ruleSet: {
+      default: 'Regras como declaradas nos esquemas',
+      strict: 'Avisos também rejeitam a linha',
+      lenient: 'Apenas campos obrigatórios rejeitam a linha; as demais regras geram avisos',
+    },
+    // Source values that could not be converted
+    value: {
+      invalid_number: 'Número inválido: "{value}"',
+      ambiguous_number: 'Número ambíguo "{value}": {pt} no formato pt ou {en} no formato en. Informe numberFormat.',
+      invalid_date: 'Data inválida: "{value}" (formatos aceitos: {formats})',
+      invalid_coordinate: 'Coordenada inválida: "{value}"',
+      incomplete_utm: 'Coordenada UTM incompleta: {field} não informado',
+    },
+    // Geographic sanity checks (geoValidation)
+    geo: {
+      outside_region: 'Coordenada ({latitude}, {longitude}) fora de Angola',
+      latlon_swapped: 'Latitude e longitude parecem trocadas: ({suggestedLatitude}, {suggestedLongitude}) cai em Angola',
+      coordinate_sign: 'Sinal da coordenada parece errado: ({suggestedLatitude}, {suggestedLongitude}) cai em Angola',
+      block_mismatch: 'Coordenada no bloco {found}, não no bloco {block}',
+      outside_block: 'Coordenada fora do polígono do bloco {block}',
+    },
+    // Generic row messages, used when a schema field has no specific one
+    rule: {
+      required: '{field} é obrigatório',
+      range: '{field} fora do intervalo permitido ({min} a {max})',
+      enum: '{field} deve ser: {values}',
+      regex: '{field} em formato inválido',
+      compare: '{field} deve ser {op} {other}',
+    },
+    // Row messages per schema.field.code
+    wells: {
+      name: { required: 'Nome do poço é obrigatório' },
+      block: { required: 'Bloco é obrigatório' },
+      field: { required: 'Campo é obrigatório' },
+      province: { required: 'Província é obrigatória' },
+      latitude: { required: 'Latitude inválida', out_of_range: 'Latitude inválida' },
+      longitude: { required: 'Longitude inválida', out_of_range: 'Longitude inválida' },
+      depth: { required: 'Profundidade inválida', out_of_range: 'Profundidade inválida' },
+      type: {
+        required: 'Tipo deve ser: petróleo, gás ou misto',
+        invalid_option: 'Tipo deve ser: petróleo, gás ou misto',
+      },
+      estimated_reserves: { out_of_range: 'Reservas estimadas negativas' },
+      daily_production: { out_of_range: 'Produção diária negativa' },
+      production_start_date: { future_date: 'Data de início da produção está no futuro' },
+      status: {
+        required: 'Status deve ser: ativo, inativo, exploratório ou declínio',
+        invalid_option: 'Status deve ser: ativo, inativo, exploratório ou declínio',
+      },
+      decline_rate: { out_of_range: 'Taxa de declínio deve estar entre 0 e 100%' },
+    },
+    production: {
+      wlbr_id: { required: 'Wellbore ID é obrigatório' },
+      production_date: {
+        required: 'Data de produção é obrigatória',
+        future_date: 'Data de produção está no futuro',
+      },
+      oil_volume: { out_of_range: 'Volume de óleo negativo' },
+      water_volume: { out_of_range: 'Volume de água negativo' },
+      gas_volume: { out_of_range: 'Volume de gás negativo' },
+      hours_produced: { out_of_range: 'Horas produzidas devem estar entre 0 e 24' },
+    },
+    completions: {
+      wlbr_id: { required: 'Wellbore ID é obrigatório' },
+      cmpl_id: { required: 'Completion ID é obrigatório' },
+      top_md: { out_of_range: 'Profundidade de topo inválida' },
+      bottom_md: {
+        out_of_range: 'Profundidade de base inválida',
+        interval_inverted: 'Base do intervalo deve ser maior ou igual ao topo',
+      },
+    },
+    well_tests: {
+      wlbr_id: { required: 'Wellbore ID é obrigatório' },
+      test_date: {
+        required: 'Data do teste é obrigatória',
+        future_date: 'Data do teste está no futuro',
+      },
+      oil_rate: { out_of_range: 'Vazão de óleo inválida' },
+      gas_rate: { out_of_range: 'Vazão de gás inválida' },
+      water_rate: { out_of_range: 'Vazão de água inválida' },
+      gor: { out_of_range: 'GOR inválido' },
+      bsw: { out_of_range: 'BS&W deve estar entre 0 e 100' },
+      choke_size: { out_of_range: 'Choke inválido' },
+      duration_hours: { out_of_range: 'Duração inválida' },
+    },
+    reservoirs: {
+      name: { required: 'Nome do reservatório é obrigatório' },
+      top_depth: { out_of_range: 'Profundidade de topo inválida' },
+      bottom_depth: {
+        out_of_range: 'Profundidade de base inválida',
+        interval_inverted: 'Base do reservatório deve ser maior ou igual ao topo',
+      },
+      porosity: { out_of_range: 'Porosidade deve estar entre 0 e 100' },
+      permeability: { out_of_range: 'Permeabilidade inválida' },
+      net_pay: { out_of_range: 'Net pay inválido' },
+      oiip: { out_of_range: 'Volume original inválido' },
+      pressure: { out_of_range: 'Pressão inválida' },
+    },
+    facilities: {
+      name: { required: 'Nome da instalação é obrigatório' },
+      facility_type: {
+        invalid_option: 'Tipo de instalação deve ser: FPSO, FSO, plataforma, submarino, terminal ou planta terrestre',
+      },
+      latitude: { out_of_range: 'Latitude inválida' },
+      longitude: { out_of_range: 'Longitude inválida' },
+      water_depth: { out_of_range: 'Lâmina d\'água inválida' },
+      oil_capacity: { out_of_range: 'Capacidade de óleo inválida' },
+      gas_capacity: { out_of_range: 'Capacidade de gás inválida' },
+      storage_capacity: { out_of_range: 'Capacidade de armazenamento inválida' },
+    },
+  },
+
+  'pt-AO': {
+    upload: {
+      invalidFilename: 'Nome do ficheiro inválido',
+      notFound: 'Carregamento não encontrado ou expirado. Reenvie o ficheiro.',
+      sizeMismatch: 'Tamanho do ficheiro não confere: esperado {expected} bytes, recebido {actual}',
+      checksumMismatch: 'sha256 do ficheiro não confere. Reenvie os chunks e finalize novamente.',
+      initFailed: 'Erro ao iniciar o carregamento',
+      statusFailed: 'Erro ao obter o estado do carregamento',
+      completeFailed: 'Erro ao finalizar o carregamento',
+      abortFailed: 'Erro ao cancelar o carregamento',
+    },
+    file: {
+      missing: 'Ficheiro não fornecido',
+      missingOrExpired: 'Ficheiro não fornecido. A sessão pode ter expirado - carregue o ficheiro novamente.',
+      processFailed: 'Erro ao processar o ficheiro',
+      missingUrl: 'URL do ficheiro não fornecido',
+      downloadFailed: 'Erro ao descarregar o ficheiro: {status}',
+    },
+    download: {
+      invalidUrl: 'URL do ficheiro inválido',
+      protocolNotAllowed: 'Protocolo não permitido para descarregar: {protocol}',
+      hostNotAllowed: 'Anfitrião não permitido para descarregar: {host}',
+      tooManyRedirects: 'Redireccionamentos a mais ao descarregar o ficheiro (limite {limit})',
+      tooLarge: 'O ficheiro excede o tamanho máximo de descarga ({limit} bytes)',
+      timeout: 'A descarga excedeu o tempo limite de {seconds}s',
+      resumeFailed: 'O servidor de origem não retomou a descarga do ponto interrompido',
+      sizeMismatch: 'Tamanho da descarga não confere: esperado {expected} bytes, recebido {actual}',
+    },
+    session: {
+      notFound: 'Sessão não encontrada. Carregue o ficheiro novamente.',
+      fileNotFound: 'Ficheiro da sessão não encontrado. Carregue o ficheiro novamente.',
+    },
+    worker: {
+      busy: 'Servidor ocupado: fila de processamento cheia ({limit} tarefas). Tente novamente dentro de momentos.',
+    },
+    sync: {
+      started: 'Sincronização iniciada em segundo plano',
+    },
+    job: {
+      notFound: 'Tarefa não encontrada',
+      alreadyFinished: 'Tarefa já terminada ({status})',
+      fileMissing: 'Ficheiro da sessão não encontrado.',
+      credentialsLost: 'As credenciais do destino enviadas no pedido não são gravadas em disco e perderam-se com o reinício do servidor. Envie a sincronização novamente ou use um destino configurado no servidor.',
+    },
+    value: {
+      invalid_date: 'Data inválida: "{value}" (formatos aceites: {formats})',
+    },
+    production: {
+      oil_volume: { out_of_range: 'Volume de petróleo negativo' },
+    },
+    well_tests: {
+      oil_rate: { out_of_range: 'Caudal de petróleo inválido' },
+      gas_rate: { out_of_range: 'Caudal de gás inválido' },
+      water_rate: { out_of_range: 'Caudal de água inválido' },
+    },
+    facilities: {
+      water_depth: { out_of_range: 'Profundidade de água inválida' },
+      oil_capacity: { out_of_range: 'Capacidade de petróleo inválida' },
+    },
+  },
+
+  en: {
+    upload: {
+      invalidFilename: 'Invalid file name',
+      missingUploadId: 'uploadId not provided',
+      notFound: 'Upload not found or expired. Please upload the file again.',
+      invalidIndex: 'Invalid index',
+      invalidTotalChunks: 'Invalid totalChunks',
+      missingTotalChunks: 'totalChunks missing or invalid',
+      missingChunk: 'Chunk not provided',
+      chunkMissing: 'Missing chunk: {index}/{last}',
+      notReceiving: 'Upload no longer accepts chunks ({status})',
+      invalidChecksum: 'Invalid sha256: {value} (expected 64 hex characters)',
+      invalidSize: 'Invalid size: {value}',
+      chunkChecksumMismatch: 'Chunk {index} is corrupt: sha256 does not match. Send the chunk again.',
+      sizeMismatch: 'File size does not match: expected {expected} bytes, received {actual}',
+      checksumMismatch: 'File sha256 does not match. Send the chunks again and complete once more.',
+      initFailed: 'Failed to start upload',
+      statusFailed: 'Failed to get upload status',
+      chunkFailed: 'Failed to receive chunk',
+      completeFailed: 'Failed to complete upload',
+      abortFailed: 'Failed to abort upload',
+    },
+    file: {
+      missing: 'File not provided',
+      missingOrExpired: 'File not provided. The session may have expired - please upload again.',
+      processFailed: 'Failed to process file',
+      missingUrl: 'File URL not provided',
+      downloadFailed: 'Failed to download file: {status}',
+    },
+    download: {
+      invalidUrl: 'Invalid file URL',
+      protocolNotAllowed: 'Protocol not allowed for downloads: {protocol}',
+      hostNotAllowed: 'Host not allowed for downloads: {host}',
+      tooManyRedirects: 'Too many redirects while downloading the file (limit {limit})',
+      tooLarge: 'File exceeds the maximum download size ({limit} bytes)',
+      timeout: 'Download exceeded the {seconds}s time limit',
+      resumeFailed: 'The origin server did not resume the download where it stopped',
+      sizeMismatch: 'Download size does not match: expected {expected} bytes, received {actual}',
+    },
+    session: {
+      notFound: 'Session not found. Please upload again.',
+      fileNotFound: 'Session file not found. Please upload again.',
+    },
+    worker: {
+      busy: 'Server busy: processing queue is full ({limit} tasks). Please try again shortly.',
+      timeout: 'Processing exceeded the {seconds}s time limit',
+    },
+    table: {
+      missingName: 'Table name not provided',
+      processFailed: 'Failed to process table',
+    },
+    params: {
+      invalidDataType: 'Invalid dataType: {value}. Use: {allowed}',
+      invalidRuleSet: 'Invalid ruleSet: {value}. Use: {allowed}',
+      invalidNumberFormat: 'Invalid numberFormat: {value}. Use: {allowed}',
+      invalidDateFormat: 'Invalid date format: {value} (use yyyy, yy, mm, m, dd, d, mon)',
+      invalidTimezone: 'Invalid timezone: {value}',
+      invalidCoordinateSystem: 'Invalid coordinateSystem: {value}. Use: {allowed}',
+      invalidColumnUnits: 'columnUnits must be a JSON object { column: unit }',
+      unknownUnit: 'Unknown unit for {column}: {unit}',
+      unitMismatch: 'Unit {unit} does not apply to {column} ({field}). Use: {allowed}',
+      invalidColumnMap: 'columnMap must be a JSON object { column: field }',
+      columnMapUnknownColumn: 'columnMap: column not found in table: {column}',
+      columnMapInvalidTarget: 'columnMap: invalid target field for {dataType}: {target}',
+    },
+    profile: {
+      notFound: 'Mapping profile not found: {id}',
+      missingId: 'Provide the profile id or name',
+      exists: 'Profile already exists: {id}',
+      defaultReadOnly: 'The default profile cannot be changed',
+      defaultUndeletable: 'The default profile cannot be deleted',
+      invalidSection: 'Mapping "{dataType}" must be an object { column: field }',
+      invalidTarget: 'Invalid target field for {dataType}: {target}',
+      createFailed: 'Failed to create profile',
+      updateFailed: 'Failed to update profile',
+    },
+    suggest: {
+      failed: 'Failed to suggest mapping',
+    },
+    sync: {
+      missingParams: 'Required parameters: {params}',
+      started: 'Sync started in background',
+      invalidMode: 'Invalid sync mode: {value}. Use one of: {allowed}',
+      typedUnsupported: 'Data type "{dataType}" has no typed table (available: {allowed})',
+      invalidStrategy: 'Invalid sync strategy: {value}. Use one of: {allowed}',
+      strategyRawOnly: 'The {strategy} strategy is only available in raw mode',
+      strategyUnsupported: 'Destination {type} does not support the {strategy} strategy',
+      invalidKeyColumns: 'keyColumns must be a list of columns (or { table: [columns] } in /sync-all-to-supabase)',
+      keyTableNotFound: 'keyColumns: table not found: {table}',
+      unknownKeyColumn: 'keyColumns: column not found in {table}: {column}',
+      missingRequiredFields: 'Required fields with no mapped column in {table}: {fields}',
+      duplicateKey: 'Same key ({key}) as row {row}, which was written instead of this one',
+      stagedWriteFailed: 'Failed to write rows {first}-{last} of {table}; the table was not changed',
+      stagedRowsMissing: 'Staged rows of {table} not found (generation {generation}); the table was not changed',
+    },
+    destination: {
+      invalidType: 'Invalid destination: {value}. Use one of: {allowed}',
+      invalidName: 'Invalid {param}: "{value}"',
+      driverMissing: 'Destination {type} unavailable: install the {package} package',
+      unavailable: 'Failed to prepare the sync destination',
+      notFound: 'Destination not configured on the server: {id}',
+      credentialsNotAllowed: 'Destination {type} credentials are not accepted in requests: use destinationId with a destination configured on the server',
+    },
+    job: {
+      notFound: 'Job not found',
+      alreadyFinished: 'Job already finished ({status})',
+      fileMissing: 'Session file not found.',
+      credentialsLost: 'Destination credentials sent in the request are not written to disk and were lost when the server restarted. Send the sync again or use a destination configured on the server.',
+    },
+    ruleSet: {
+      default: 'Rules as declared by the schemas',
+      strict: 'Warnings also reject the row',
+      lenient: 'Only required fields reject the row; all other rules produce warnings',
+    },
+    value: {
+      invalid_number: 'Invalid number: "{value}"',
+      ambiguous_number: 'Ambiguous number "{value}": {pt} in pt format or {en} in en format. Set numberFormat.',
+      invalid_date: 'Invalid date: "{value}" (accepted formats: {formats})',
+      invalid_coordinate: 'Invalid coordinate: "{value}"',
+      incomplete_utm: 'Incomplete UTM coordinate: {field} missing',
+    },
+    geo: {
+      outside_region: 'Coordinate ({latitude}, {longitude}) is outside Angola',
+      latlon_swapped: 'Latitude and longitude look swapped: ({suggestedLatitude}, {suggestedLongitude}) falls in Angola',
+      coordinate_sign: 'Coordinate sign looks wrong: ({suggestedLatitude}, {suggestedLongitude}) falls in Angola',
+      block_mismatch: 'Coordinate lies in block {found}, not block {block}',
+      outside_block: 'Coordinate is outside the polygon of block {block}',
+    },
+    rule: {
+      required: '{field} is required',
+      range: '{field} is out of the allowed range ({min} to {max})',
+      enum: '{field} must be one of: {values}',
+      regex: '{field} has an invalid format',
+      compare: '{field} must be {op} {other}',
+    },
+    wells: {
+      name: { required: 'Well name is required' },
+      block: { required: 'Block is required' },
+      field: { required: 'Field is required' },
+      province: { required: 'Province is required' },
+      latitude: { required: 'Invalid latitude', out_of_range: 'Invalid latitude' },
+      longitude: { required: 'Invalid longitude', out_of_range: 'Invalid longitude' },
+      depth: { required: 'Invalid depth', out_of_range: 'Invalid depth' },
+      type: {
+        required: 'Type must be: oil, gas or mixed',
+        invalid_option: 'Type must be: oil, gas or mixed',
+      },
+      estimated_reserves: { out_of_range: 'Negative estimated reserves' },
+      daily_production: { out_of_range: 'Negative daily production' },
+      production_start_date: { future_date: 'Production start date is in the future' },
+      status: {
+        required: 'Status must be: active, inactive, exploratory or declining',
+        invalid_option: 'Status must be: active, inactive, exploratory or declining',
+      },
+      decline_rate: { out_of_range: 'Decline rate must be between 0 and 100%' },
+    },
+    production: {
+      wlbr_id: { required: 'Wellbore ID is required' },
+      production_date: {
+        required: 'Production date is required',
+        future_date: 'Production date is in the future',
+      },
+      oil_volume: { out_of_range: 'Negative oil volume' },
+      water_volume: { out_of_range: 'Negative water volume' },
+      gas_volume: { out_of_range: 'Negative gas volume' },
+      hours_produced: { out_of_range: 'Hours produced must be between 0 and 24' },
+    },
+    completions: {
+      wlbr_id: { required: 'Wellbore ID is required' },
+      cmpl_id: { required: 'Completion ID is required' },
+      top_md: { out_of_range: 'Invalid top depth' },
+      bottom_md: {
+        out_of_range: 'Invalid bottom depth',
+        interval_inverted: 'Interval bottom must be greater than or equal to the top',
+      },
+    },
+    well_tests: {
+      wlbr_id: { required: 'Wellbore ID is required' },
+      test_date: {
+        required: 'Test date is required',
+        future_date: 'Test date is in the future',
+      },
+      oil_rate: { out_of_range: 'Invalid oil rate' },
+      gas_rate: { out_of_range: 'Invalid gas rate' },
+      water_rate: { out_of_range: 'Invalid water rate' },
+      gor: { out_of_range: 'Invalid GOR' },
+      bsw: { out_of_range: 'BS&W must be between 0 and 100' },
+      choke_size: { out_of_range: 'Invalid choke size' },
+      duration_hours: { out_of_range: 'Invalid duration' },
+    },
+    reservoirs: {
+      name: { required: 'Reservoir name is required' },
+      top_depth: { out_of_range: 'Invalid top depth' },
+      bottom_depth: {
+        out_of_range: 'Invalid bottom depth',
+        interval_inverted: 'Reservoir bottom must be greater than or equal to the top',
+      },
+      porosity: { out_of_range: 'Porosity must be between 0 and 100' },
+      permeability: { out_of_range: 'Invalid permeability' },
+      net_pay: { out_of_range: 'Invalid net pay' },
+      oiip: { out_of_range: 'Invalid oil in place' },
+      pressure: { out_of_range: 'Invalid pressure' },
+    },
+    facilities: {
+      name: { required: 'Facility name is required' },
+      facility_type: {
+        invalid_option: 'Facility type must be: FPSO, FSO, platform, subsea, terminal or onshore plant',
+      },
+      latitude: { out_of_range: 'Invalid latitude' },
+      longitude: { out_of_range: 'Invalid longitude' },
+      water_depth: { out_of_range: 'Invalid water depth' },
+      oil_capacity: { out_of_range: 'Invalid oil capacity' },
+      gas_capacity: { out_of_range: 'Invalid gas capacity' },
+      storage_capacity: { out_of_range: 'Invalid storage capacity' },
+    },
+  },
+};
+
+function lookupMessage(locale, key) {
+  for (const candidate of [locale, ...(LOCALE_FALLBACKS[locale] || [])]) {
+    const message = key.split('.').reduce((node, part) => node?.[part], messageCatalogs[candidate]);
+    if (typeof message === 'string') return message;
+  }
+  return null;
+}
+
+function hasMessage(locale, key) {
+  return lookupMessage(locale, key) !== null;
+}
+
+/**
+ * Render a catalog message, falling back to the default locale and then to the key itself
+ */
+function translate(locale, key, params = {}) {
+  const template = lookupMessage(locale, key) ?? lookupMessage(DEFAULT_LOCALE, key) ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * Error carrying a message code and HTTP status for the route's catch block
+ * (rendered in the request locale by sendRouteError in server.js)
+ */
+function requestError(code, params = {}, statusCode = 400) {
+  const err = new Error(translate(DEFAULT_LOCALE, code, params));
+  // @ts-ignore
+  err.statusCode = statusCode;
+  // @ts-ignore
+  err.errorCode = code;
+  // @ts-ignore
+  err.params = params;
+  return err;
+}
+
+// ============================================
+// UNITS - Source units per column and conversion to canonical units
+// Numeric schema fields declare a `quantity`; their values are converted to
+// the quantity's canonical unit. The source unit of a column comes from the
+// request (columnUnits), the mapping profile (units) or a header suffix such
+// as "OIL (m3)" / "OIL_BBL"; without one the value is taken as canonical.
+// Conversions are linear: canonical = value * factor + offset.
+// Gauge and absolute pressures (psig/psia, barg/bara) are not reconciled.
+// ============================================
+const M3_TO_BBL = 6.28981077;
+const SM3_TO_MSCF = 0.0353146667;
+const BAR_TO_PSI = 14.5037738;
+
+const UNIT_QUANTITIES = {
+  liquid_volume: {
+    canonical: 'bbl',
+    units: {
+      bbl: { factor: 1 }, bbls: { factor: 1 }, stb: { factor: 1 },
+      mbbl: { factor: 1e3 }, mmbbl: { factor: 1e6 },
+      m3: { factor: M3_TO_BBL }, sm3: { factor: M3_TO_BBL },
+    },
+  },
+  liquid_rate: {
+    canonical: 'bbl/d',
+    units: {
+      'bbl/d': { factor: 1 }, 'bbls/d': { factor: 1 }, 'stb/d': { factor: 1 },
+      bpd: { factor: 1 }, bopd: { factor: 1 }, bwpd: { factor: 1 }, blpd: { factor: 1 },
+      'm3/d': { factor: M3_TO_BBL }, 'sm3/d': { factor: M3_TO_BBL },
+    },
+  },
+  gas_volume: {
+    canonical: 'Mscf',
+    units: {
+      scf: { factor: 1e-3 }, mscf: { factor: 1 }, mmscf: { factor: 1e3 }, bscf: { factor: 1e6 },
+      m3: { factor: SM3_TO_MSCF }, sm3: { factor: SM3_TO_MSCF }, e3m3: { factor: SM3_TO_MSCF * 1e3 },
+    },
+  },
+  gas_rate: {
+    canonical: 'Mscf/d',
+    units: {
+      'scf/d': { factor: 1e-3 }, 'mscf/d': { factor: 1 }, mscfd: { factor: 1 },
+      'mmscf/d': { factor: 1e3 }, mmscfd: { factor: 1e3 },
+      'm3/d': { factor: SM3_TO_MSCF }, 'sm3/d': { factor: SM3_TO_MSCF }, 'e3m3/d': { factor: SM3_TO_MSCF * 1e3 },
+    },
+  },
+  gas_oil_ratio: {
+    canonical: 'scf/bbl',
+    units: {
+      'scf/bbl': { factor: 1 }, 'scf/stb': { factor: 1 },
+      'sm3/sm3': { factor: (SM3_TO_MSCF * 1e3) / M3_TO_BBL }, 'm3/m3': { factor: (SM3_TO_MSCF * 1e3) / M3_TO_BBL },
+    },
+  },
+  pressure: {
+    canonical: 'psi',
+    units: {
+      psi: { factor: 1 }, psia: { factor: 1 }, psig: { factor: 1 },
+      bar: { factor: BAR_TO_PSI }, bara: { factor: BAR_TO_PSI }, barg: { factor: BAR_TO_PSI },
+      kpa: { factor: BAR_TO_PSI / 100 }, mpa: { factor: BAR_TO_PSI * 10 },
+      'kgf/cm2': { factor: 14.2233433 }, atm: { factor: 14.6959488 },
+    },
+  },
+  temperature: {
+    canonical: 'degC',
+    units: {
+      degc: { factor: 1 }, c: { factor: 1 },
+      degf: { factor: 5 / 9, offset: -32 * 5 / 9 }, f: { factor: 5 / 9, offset: -32 * 5 / 9 },
+      k: { factor: 1, offset: -273.15 },
+    },
+  },
+  length: {
+    canonical: 'm',
+    units: { m: { factor: 1 }, ft: { factor: 0.3048 } },
+  },
+};
+
+/**
+ * Normalize a unit label: "m³/dia" -> "m3/d", "°F" -> "degf", "kgf/cm²" -> "kgf/cm2"
+ */
+function normalizeUnit(unit) {
+  return String(unit)
+    .replace(/[°º]/g, 'deg')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[\s^]/g, '')
+    .replace(/\/(day|dia)$/, '/d');
+}
+
+/**
+ * Unit spec of a quantity: { unit, factor, offset } or null
+ */
+function findUnit(quantity, unit) {
+  const name = normalizeUnit(unit);
+  const spec = UNIT_QUANTITIES[quantity]?.units[name];
+  return spec ? { unit: name, factor: spec.factor, offset: spec.offset || 0 } : null;
+}
+
+function isKnownUnit(unit) {
+  return Object.keys(UNIT_QUANTITIES).some((quantity) => findUnit(quantity, unit));
+}
+
+function convertToCanonical(value, { factor, offset }) {
+  return Math.round((value * factor + offset) * 1e6) / 1e6;
+}
+
+/**
+ * Parse a columnUnits request parameter ({ column: unit }, or JSON string from multipart bodies)
+ */
+function parseColumnUnitsParam(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let columnUnits = value;
+  if (typeof value === 'string') {
+    try {
+      columnUnits = JSON.parse(value);
+    } catch {
+      throw requestError('params.invalidColumnUnits');
+    }
+  }
+  if (columnUnits === null || typeof columnUnits !== 'object' || Array.isArray(columnUnits)) {
+    throw requestError('params.invalidColumnUnits');
+  }
+
+  for (const [column, unit] of Object.entries(columnUnits)) {
+    if (!isKnownUnit(unit)) throw requestError('params.unknownUnit', { column, unit });
+  }
+  return columnUnits;
+}
+
+/**
+ * Validate the `units` of a mapping profile body (source header -> unit), stored lowercased like mappings
+ */
+function normalizeProfileUnits(input) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    throw requestError('params.invalidColumnUnits');
+  }
+  const units = {};
+  for (const [column, unit] of Object.entries(input)) {
+    if (!isKnownUnit(unit)) throw requestError('params.unknownUnit', { column, unit });
+    units[String(column).toLowerCase().trim()] = normalizeUnit(unit);
+  }
+  return units;
+}
+
+/**
+ * Source unit of every mapped field that has a quantity:
+ * { field: { column, unit, canonicalUnit, source, factor, offset } }.
+ * An explicit unit (request/profile) of the wrong quantity is rejected; a header
+ * suffix that is not a unit of the field's quantity is ignored and reported.
+ */
+function resolveUnitPlan(schema, effectiveMapping, columnUnits, profile) {
+  const plan = {};
+
+  for (const [column, field] of Object.entries(effectiveMapping)) {
+    const quantity = schema.fields[field]?.quantity;
+    if (!quantity) continue;
+    const { canonical, units } = UNIT_QUANTITIES[quantity];
+
+    const requested = columnUnits
+      ? Object.entries(columnUnits).find(([source]) => source.toLowerCase().trim() === column.toLowerCase().trim())?.[1]
+      : undefined;
+    const candidates = [
+      [requested, 'request'],
+      [profile.units?.[column.toLowerCase().trim()], 'profile'],
+      [tokenizeHeader(column).unit, 'header'],
+    ];
+
+    let entry = { column, unit: canonical, canonicalUnit: canonical, source: 'assumed', factor: 1, offset: 0 };
+    for (const [unit, source] of candidates) {
+      if (!unit) continue;
+      const spec = findUnit(quantity, unit);
+      if (spec) {
+        entry = { ...entry, ...spec, source };
+        break;
+      }
+      if (source !== 'header') {
+        throw requestError('params.unitMismatch', { column, unit, field, allowed: Object.keys(units).join(', ') });
+      }
+      entry.ignoredHeaderUnit = unit;
+    }
+    plan[field] = entry;
+  }
+  return plan;
+}
+
+// ============================================
+// SCHEMA REGISTRY - Target schemas for parsed rows
+// Each schema declares its fields (type, aliases, validation rules) and
+// detection hints. Registering a schema makes it available to detection,
+// mapping, suggestions and parsing.
+//
+// Field spec:
+//   type      text | id | enum | number | percent | hours | latitude | longitude |
+//             easting | northing | date
+//   quantity  physical quantity of a number field (see UNITS); converted to its canonical unit
+//   aliases   source headers (lowercase) mapped to this field
+//   required  shorthand for a 'required' rule
+//   min/max   shorthand for a 'range' rule; values: shorthand for an 'enum' rule (after normalize)
+//   rules     additional validation rules (see VALIDATION RULES)
+//   default   value used when missing (optional fields only)
+//   weight    detection evidence when a column maps to this field (default 1)
+// Schema-level `rules` hold cross-field checks. Row messages live in the
+// I18N catalogs under <schemaId>.<field>.<code>.
+// Schema-level `sync` ({ table, key }) names the typed table that sync jobs
+// in typed mode upsert the schema's records into, by the `key` fields.
+// ============================================
+const schemaRegistry = new Map(); // schemaId -> schema
+
+function registerSchema(schema) {
+  const columnMappings = {};
+  const fields = {};
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    if (field.quantity && !UNIT_QUANTITIES[field.quantity]) {
+      throw new Error(`Grandeza desconhecida para ${schema.id}.${name}: ${field.quantity}`);
+    }
+    columnMappings[name] = name;
+    for (const alias of field.aliases || []) {
+      columnMappings[alias] = name;
+    }
+    fields[name] = { ...field, rules: compileFieldRules(name, field) };
+  }
+
+  const fieldNames = Object.keys(fields);
+
+  schemaRegistry.set(schema.id, {
+    indicators: [],
+    ...schema,
+    fields,
+    rules: (schema.rules || []).map((rule) => compileRule(rule.field, rule)),
+    fieldNames,
+    requiredFields: fieldNames.filter((name) => fields[name].rules.some((r) => r.rule === 'required' && r.severity === 'error')),
+    columnMappings,
+  });
+}
+
+function getSchema(schemaId) {
+  return schemaRegistry.get(schemaId);
+}
+
+function listSchemas() {
+  return [...schemaRegistry.values()];
+}
+
+function describeRule(schema, { regex, ...rule }, locale) {
+  return { ...rule, message: renderRuleMessage(locale, schema.id, rule) };
+}
+
+function describeSchema(schema, locale = DEFAULT_LOCALE) {
+  return {
+    id: schema.id,
+    label: schema.label,
+    fields: Object.entries(schema.fields).map(([name, field]) => ({
+      name,
+      type: field.type,
+      quantity: field.quantity,
+      canonicalUnit: field.quantity ? UNIT_QUANTITIES[field.quantity].canonical : undefined,
+      required: schema.requiredFields.includes(name),
+      aliases: field.aliases || [],
+      rules: field.rules.map((rule) => describeRule(schema, rule, locale)),
+    })),
+    rules: schema.rules.map((rule) => describeRule(schema, rule, locale)),
+    sync: schema.sync || null,
+  };
+}
+
+// Column type of a field in typed tables
+const SYNC_COLUMN_TYPES = {
+  text: 'text', id: 'text', enum: 'text', date: 'date',
+  number: 'number', percent: 'number', hours: 'number',
+  latitude: 'number', longitude: 'number', easting: 'number', northing: 'number',
+};
+
+/**
+ * Typed table of a data type for sync destinations: { table, key, columns: [{ name, type }] },
+ * or null when the schema (or 'raw') has none
+ */
+function getSyncTarget(dataType) {
+  const schema = getSchema(dataType);
+  if (!schema?.sync) return null;
+  return {
+    table: schema.sync.table,
+    key: schema.sync.key,
+    columns: Object.entries(schema.fields).map(([name, field]) => ({ name, type: SYNC_COLUMN_TYPES[field.type] })),
+  };
+}
+
+// ============================================
+// VALIDATION RULES - Declarative per-field and cross-field checks
+//
+// Rule spec (severity defaults to 'error'; 'warning' keeps the row;
+// `code` overrides the reported code, see RULE_CODES):
+//   { rule: 'required' }
+//   { rule: 'range', min, max }
+//   { rule: 'enum', values }
+//   { rule: 'regex', pattern, flags }
+//   { rule: 'compare', op: '<' | '<=' | '>' | '>=' | '==' | '!=', other: '<field>' }
+//   { rule: 'compare', op, value: <number | 'YYYY-MM-DD' | 'today'> }
+// Rules other than 'required' are skipped when the value is missing.
+// ============================================
+const RULE_SEVERITIES = ['error', 'warning'];
+
+// Rule sets reinterpret the declared severities per request (ruleSet parameter)
+const ruleSets = {
+  default: {
+    severity: (rule) => rule.severity,
+  },
+  strict: {
+    severity: () => 'error',
+  },
+  lenient: {
+    severity: (rule) => (rule.rule === 'required' ? rule.severity : 'warning'),
+  },
+};
+
+// Machine-readable code reported for a failed rule (a rule may declare its own `code`)
+const RULE_CODES = {
+  required: 'required',
+  range: 'out_of_range',
+  enum: 'invalid_option',
+  regex: 'invalid_format',
+  compare: 'invalid_comparison',
+};
+
+/**
+ * Message for a failed rule: the catalog entry `<schema>.<field>.<code>` when
+ * there is one, otherwise the generic message for the rule type
+ */
+function renderRuleMessage(locale, schemaId, rule) {
+  const key = `${schemaId}.${rule.field}.${rule.code}`;
+  if (hasMessage(locale, key)) return translate(locale, key);
+  return translate(locale, `rule.${rule.rule}`, {
+    field: rule.field,
+    min: rule.min ?? '-∞',
+    max: rule.max ?? '∞',
+    values: (rule.values || []).join(', '),
+    op: rule.op,
+    other: rule.other ?? rule.value,
+  });
+}
+
+function compileRule(field, rule) {
+  if (!RULE_CODES[rule.rule]) {
+    throw new Error(`Regra desconhecida para ${field}: ${rule.rule}`);
+  }
+  const severity = rule.severity || 'error';
+  if (!RULE_SEVERITIES.includes(severity)) {
+    throw new Error(`Severidade inválida para ${field}: ${severity}`);
+  }
+
+  const compiled = { ...rule, field, severity, code: rule.code || RULE_CODES[rule.rule] };
+  if (rule.rule === 'regex') {
+    compiled.regex = new RegExp(rule.pattern, rule.flags);
+  }
+  return compiled;
+}
+
+/**
+ * Expand the field shorthands (required, min/max, values) and append explicit rules
+ */
+function compileFieldRules(name, field) {
+  const rules = [];
+
+  if (field.required) {
+    rules.push({ rule: 'required' });
+  }
+  if (field.min !== undefined || field.max !== undefined) {
+    rules.push({ rule: 'range', min: field.min, max: field.max });
+  }
+  if (field.values) {
+    rules.push({ rule: 'enum', values: field.values });
+  }
+
+  return [...rules, ...(field.rules || [])].map((rule) => compileRule(name, rule));
+}
+
+function compareValues(a, op, b) {
+  switch (op) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '==': return a === b;
+    case '!=': return a !== b;
+    default: return true;
+  }
+}
+
+/**
+ * Whether `value` (the rule's field in `data`) passes the rule
+ */
+function checkRule(rule, value, data) {
+  if (rule.rule === 'required') return value !== null;
+  if (value === null) return true;
+
+  switch (rule.rule) {
+    case 'range':
+      return (rule.min === undefined || value >= rule.min) && (rule.max === undefined || value <= rule.max);
+    case 'enum':
+      return rule.values.includes(value);
+    case 'regex':
+      return rule.regex.test(String(value));
+    case 'compare': {
+      const other = rule.other !== undefined
+        ? data[rule.other]
+        : rule.value === 'today' ? new Date().toISOString().split('T')[0] : rule.value;
+      if (other === null || other === undefined) return true;
+      return compareValues(value, rule.op, other);
+    }
+    default:
+      return true;
+  }
+}
+
+function resolveRuleSet(name) {
+  const ruleSetName = name || 'default';
+  if (typeof ruleSetName !== 'string' || !Object.hasOwn(ruleSets, ruleSetName)) {
+    throw requestError('params.invalidRuleSet', { value: ruleSetName, allowed: Object.keys(ruleSets).join(', ') });
+  }
+  return { name: ruleSetName, ...ruleSets[ruleSetName] };
+}
+
+/**
+ * Run all field and cross-field rules of a schema over converted row data.
+ * Returns { errors, warnings } as lists of failed rules.
+ */
+function validateSchemaData(schema, data, ruleSet = ruleSets.default) {
+  const errors = [];
+  const warnings = [];
+
+  const apply = (rule) => {
+    if (checkRule(rule, data[rule.field], data)) return;
+    const severity = ruleSet.severity(rule);
+    (severity === 'error' ? errors : warnings).push(rule);
+  };
+
+  for (const field of Object.values(schema.fields)) {
+    field.rules.forEach(apply);
+  }
+  schema.rules.forEach(apply);
+
+  return { errors, warnings };
+}
+
+// ============================================
+// VALUE NORMALIZERS - pt/en spellings of enum values
+// ============================================
+function normalizeType(val) {
+  if (!val) return '';
+  const normalized = String(val).toLowerCase().trim();
+  if (['petróleo', 'petroleo', 'oil'].includes(normalized)) return 'oil';
+  if (['gás', 'gas'].includes(normalized)) return 'gas';
+  if (['misto', 'mixed'].includes(normalized)) return 'mixed';
+  return String(val);
+}
+
+function normalizeStatus(val) {
+  if (!val) return '';
+  const normalized = String(val).toLowerCase().trim();
+  if (['ativo', 'active'].includes(normalized)) return 'active';
+  if (['inativo', 'inactive'].includes(normalized)) return 'inactive';
+  if (['exploratório', 'exploratorio', 'exploratory'].includes(normalized)) return 'exploratory';
+  if (['declínio', 'declining', 'em declínio'].includes(normalized)) return 'declining';
+  return String(val);
+}
+
+function normalizeFacilityType(val) {
+  if (!val) return '';
+  const normalized = String(val).toLowerCase().trim();
+  if (['fpso'].includes(normalized)) return 'fpso';
+  if (['fso'].includes(normalized)) return 'fso';
+  if (['plataforma', 'platform', 'jacket', 'tlp'].includes(normalized)) return 'platform';
+  if (['submarino', 'subsea'].includes(normalized)) return 'subsea';
+  if (['terminal'].includes(normalized)) return 'terminal';
+  if (['planta terrestre', 'planta', 'onshore', 'onshore plant'].includes(normalized)) return 'onshore_plant';
+  return String(val);
+}
+
+// ============================================
+// SCHEMA - WELLS
+// ============================================
+registerSchema({
+  id: 'wells',
+  label: 'Poços',
+  indicators: ['latitude', 'longitude', 'block', 'field', 'province', 'poco', 'bloco', 'campo'],
+  sync: { table: 'wells', key: ['block', 'name'] },
+  fields: {
+    name: {
+      type: 'text',
+      required: true,
+      aliases: ['nome', 'nome do poço', 'poço', 'poco', 'well name', 'well', 'nome poco'],
+    },
+    block: {
+      type: 'text',
+      required: true,
+      weight: 2,
+      aliases: ['bloco'],
+    },
+    field: {
+      type: 'text',
+      required: true,
+      aliases: ['campo', 'campo petrolífero'],
+    },
+    province: {
+      type: 'text',
+      required: true,
+      weight: 1.5,
+      aliases: ['província', 'provincia', 'basin', 'bacia'],
+    },
+    latitude: {
+      type: 'latitude',
+      required: true,
+      min: -90,
+      max: 90,
+      weight: 2,
+      aliases: ['lat'],
+    },
+    longitude: {
+      type: 'longitude',
+      required: true,
+      min: -180,
+      max: 180,
+      weight: 2,
+      aliases: ['long', 'lng', 'lon'],
+    },
+    easting: {
+      type: 'easting',
+      aliases: ['este', 'utm x', 'utm este', 'coord x', 'x'],
+    },
+    northing: {
+      type: 'northing',
+      aliases: ['norte', 'utm y', 'utm norte', 'coord y', 'y'],
+    },
+    depth: {
+      type: 'number',
+      quantity: 'length',
+      required: true,
+      min: 0,
+      aliases: ['profundidade', 'total depth', 'td', 'md'],
+    },
+    type: {
+      type: 'enum',
+      required: true,
+      weight: 0.5,
+      normalize: normalizeType,
+      values: ['oil', 'gas', 'mixed'],
+      aliases: ['tipo', 'tipo de hidrocarboneto', 'fluid', 'hydrocarbon type'],
+    },
+    estimated_reserves: {
+      type: 'number',
+      quantity: 'liquid_volume',
+      default: 0,
+      aliases: ['reservas', 'reservas estimadas', 'reserves'],
+      rules: [{ rule: 'range', min: 0, severity: 'warning' }],
+    },
+    daily_production: {
+      type: 'number',
+      quantity: 'liquid_rate',
+      default: 0,
+      aliases: ['produção diária', 'producao diaria', 'produção', 'daily production'],
+      rules: [{ rule: 'range', min: 0, severity: 'warning' }],
+    },
+    production_start_date: {
+      type: 'date',
+      aliases: ['data de início', 'data inicio', 'início produção', 'start date', 'first oil', 'production start'],
+      rules: [{ rule: 'compare', op: '<=', value: 'today', severity: 'warning', code: 'future_date' }],
+    },
+    status: {
+      type: 'enum',
+      required: true,
+      weight: 0.5,
+      normalize: normalizeStatus,
+      values: ['active', 'inactive', 'exploratory', 'declining'],
+      aliases: ['estado', 'well status'],
+    },
+    decline_rate: {
+      type: 'percent',
+      default: 0,
+      aliases: ['taxa de declínio', 'declínio', 'decline'],
+      rules: [{ rule: 'range', min: 0, max: 100, severity: 'warning' }],
+    },
+  },
+});
+
+// ============================================
+// SCHEMA - PRODUCTION
+// ============================================
+registerSchema({
+  id: 'production',
+  label: 'Produção',
+  indicators: ['oil', 'gas', 'water', 'daytime', 'bhp', 'whp', 'choke', 'oleo', 'agua'],
+  sync: { table: 'production', key: ['wlbr_id', 'production_date'] },
+  fields: {
+    wlbr_id: {
+      type: 'id',
+      required: true,
+      weight: 3,
+      aliases: ['wellbore_id', 'id do poço', 'wellbore id', 'well id', 'uwi'],
+    },
+    wlbr_nm: {
+      type: 'text',
+      aliases: ['wellbore_name', 'nome do poço', 'wellbore name', 'well name', 'nome poco'],
+    },
+    cmpl_id: {
+      type: 'id',
+      weight: 2,
+      aliases: ['completion_id', 'completion'],
+    },
+    production_date: {
+      type: 'date',
+      required: true,
+      weight: 2,
+      aliases: ['daytime', 'date', 'data', 'data produção', 'prod date', 'production date', 'dt prod'],
+      rules: [{ rule: 'compare', op: '<=', value: 'today', severity: 'warning', code: 'future_date' }],
+    },
+    oil_volume: {
+      type: 'number',
+      quantity: 'liquid_volume',
+      default: 0,
+      weight: 2,
+      aliases: ['oil', 'óleo', 'petroleo', 'petróleo', 'oil vol', 'oil volume'],
+      rules: [{ rule: 'range', min: 0, severity: 'warning' }],
+    },
+    water_volume: {
+      type: 'number',
+      quantity: 'liquid_volume',
+      default: 0,
+      weight: 1.5,
+      aliases: ['water', 'água', 'agua', 'water vol', 'wat'],
+      rules: [{ rule: 'range', min: 0, severity: 'warning' }],
+    },
+    gas_volume: {
+      type: 'number',
+      quantity: 'gas_volume',
+      default: 0,
+      aliases: ['gas', 'gás', 'gas vol', 'gas volume'],
+      rules: [{ rule: 'range', min: 0, severity: 'warning' }],
+    },
+    glg: {
+      type: 'number',
+      quantity: 'gas_volume',
+      default: 0,
+      aliases: ['gas lift', 'lift gas'],
+    },
+    hours_produced: {
+      type: 'hours',
+      default: 0,
+      aliases: ['hours', 'horas', 'hrs', 'on stream hours', 'uptime'],
+      rules: [{ rule: 'range', min: 0, max: 24, severity: 'warning' }],
+    },
+    choke_size: { type: 'number', default: 0, aliases: ['choke', 'choke size'] },
+    bhp: { type: 'number', quantity: 'pressure', default: 0, aliases: ['bottom hole pressure'] },
+    bht: { type: 'number', quantity: 'temperature', default: 0, aliases: ['bottom hole temperature'] },
+    whp: { type: 'number', quantity: 'pressure', default: 0, aliases: ['wellhead pressure', 'thp'] },
+    wht: { type: 'number', quantity: 'temperature', default: 0, aliases: ['wellhead temperature'] },
+    chp: { type: 'number', quantity: 'pressure', default: 0, aliases: ['casing pressure'] },
+  },
+});
+
+// ============================================
+// SCHEMA - COMPLETIONS
+// ============================================
+registerSchema({
+  id: 'completions',
+  label: 'Completações',
+  indicators: ['completion', 'completacao', 'perf', 'perforation', 'canhoneio', 'packer', 'tubing'],
+  rules: [
+    { rule: 'compare', field: 'bottom_md', op: '>=', other: 'top_md', code: 'interval_inverted' },
+  ],
+  fields: {
+    wlbr_id: {
+      type: 'id',
+      required: true,
+      aliases: ['wellbore_id', 'id do poço', 'wellbore id', 'well id', 'uwi'],
+    },
+    cmpl_id: {
+      type: 'id',
+      required: true,
+      weight: 3,
+      aliases: ['completion_id', 'completion id', 'id completação', 'id completacao'],
+    },
+    cmpl_nm: {
+      type: 'text',
+      aliases: ['completion_name', 'completion name', 'nome completação', 'nome completacao'],
+    },
+    completion_date: {
+      type: 'date',
+      weight: 2,
+      aliases: ['completion date', 'cmpl_date', 'data completação', 'data completacao', 'data de completação'],
+    },
+    completion_type: {
+      type: 'text',
+      aliases: ['completion type', 'tipo completação', 'tipo completacao', 'tipo de completação'],
+    },
+    top_md: {
+      type: 'number',
+      quantity: 'length',
+      min: 0,
+      weight: 1.5,
+      aliases: ['top', 'topo', 'top md', 'top depth', 'perf top', 'topo canhoneio'],
+    },
+    bottom_md: {
+      type: 'number',
+      quantity: 'length',
+      min: 0,
+      weight: 1.5,
+      aliases: ['bottom', 'base', 'bottom md', 'bottom depth', 'perf bottom', 'base canhoneio'],
+    },
+    reservoir: {
+      type: 'text',
+      aliases: ['reservatório', 'reservatorio', 'zone', 'zona', 'formation', 'formação', 'formacao'],
+    },
+    status: { type: 'text', aliases: ['estado', 'completion status'] },
+  },
+});
+
+// ============================================
+// SCHEMA - WELL TESTS
+// ============================================
+registerSchema({
+  id: 'well_tests',
+  label: 'Testes de poço',
+  indicators: ['test', 'teste', 'gor', 'rgo', 'bsw', 'rate', 'vazao'],
+  fields: {
+    wlbr_id: {
+      type: 'id',
+      required: true,
+      aliases: ['wellbore_id', 'id do poço', 'wellbore id', 'well id', 'uwi', 'poço', 'poco', 'well'],
+    },
+    test_date: {
+      type: 'date',
+      required: true,
+      weight: 2,
+      aliases: ['test date', 'data teste', 'data do teste', 'date', 'data'],
+      rules: [{ rule: 'compare', op: '<=', value: 'today', severity: 'warning', code: 'future_date' }],
+    },
+    oil_rate: {
+      type: 'number',
+      quantity: 'liquid_rate',
+      min: 0,
+      weight: 2,
+      aliases: ['oil rate', 'qo', 'vazão óleo', 'vazao oleo', 'vazão de óleo'],
+    },
+    gas_rate: {
+      type: 'number',
+      quantity: 'gas_rate',
+      min: 0,
+      aliases: ['gas rate', 'qg', 'vazão gás', 'vazao gas', 'vazão de gás'],
+    },
+    water_rate: {
+      type: 'number',
+      quantity: 'liquid_rate',
+      min: 0,
+      aliases: ['water rate', 'qw', 'vazão água', 'vazao agua', 'vazão de água'],
+    },
+    gor: {
+      type: 'number',
+      quantity: 'gas_oil_ratio',
+      min: 0,
+      weight: 2,
+      aliases: ['rgo', 'gas oil ratio', 'razão gás óleo', 'razao gas oleo'],
+    },
+    bsw: {
+      type: 'percent',
+      min: 0,
+      max: 100,
+      weight: 2,
+      aliases: ['bs&w', 'bs_w', 'bs w', 'water cut', 'watercut', 'corte de água', 'corte de agua'],
+    },
+    choke_size: { type: 'number', min: 0, aliases: ['choke', 'choke size'] },
+    whp: { type: 'number', quantity: 'pressure', aliases: ['wellhead pressure', 'thp'] },
+    bhp: { type: 'number', quantity: 'pressure', aliases: ['bottom hole pressure'] },
+    duration_hours: {
+      type: 'hours',
+      min: 0,
+      aliases: ['duration', 'duração', 'duracao', 'test hours', 'horas de teste'],
+    },
+  },
+});
+
+// ============================================
+// SCHEMA - RESERVOIRS / ZONES
+// ============================================
+registerSchema({
+  id: 'reservoirs',
+  label: 'Reservatórios / zonas',
+  indicators: ['reservoir', 'reservatorio', 'zone', 'zona', 'porosity', 'porosidade', 'permeability', 'permeabilidade', 'formation', 'formacao'],
+  rules: [
+    { rule: 'compare', field: 'bottom_depth', op: '>=', other: 'top_depth', code: 'interval_inverted' },
+  ],
+  fields: {
+    name: {
+      type: 'text',
+      required: true,
+      weight: 2,
+      aliases: ['reservatório', 'reservatorio', 'reservoir', 'zone', 'zona', 'nome', 'reservoir name'],
+    },
+    field: { type: 'text', aliases: ['campo'] },
+    block: { type: 'text', aliases: ['bloco'] },
+    formation: { type: 'text', aliases: ['formação', 'formacao'] },
+    top_depth: {
+      type: 'number',
+      quantity: 'length',
+      min: 0,
+      aliases: ['top', 'topo', 'top depth'],
+    },
+    bottom_depth: {
+      type: 'number',
+      quantity: 'length',
+      min: 0,
+      aliases: ['bottom', 'base', 'bottom depth'],
+    },
+    porosity: {
+      type: 'percent',
+      min: 0,
+      max: 100,
+      weight: 2,
+      aliases: ['porosidade', 'phi'],
+    },
+    permeability: {
+      type: 'number',
+      min: 0,
+      weight: 2,
+      aliases: ['permeabilidade', 'perm'],
+    },
+    net_pay: {
+      type: 'number',
+      quantity: 'length',
+      min: 0,
+      aliases: ['net pay', 'espessura útil', 'espessura util'],
+    },
+    oiip: {
+      type: 'number',
+      quantity: 'liquid_volume',
+      min: 0,
+      weight: 1.5,
+      aliases: ['stoiip', 'ooip', 'volume original', 'volume in place'],
+    },
+    pressure: {
+      type: 'number',
+      quantity: 'pressure',
+      min: 0,
+      aliases: ['pressão', 'pressao', 'initial pressure', 'pressão inicial'],
+    },
+  },
+});
+
+// ============================================
+// SCHEMA - FACILITIES / FPSO
+// ============================================
+registerSchema({
+  id: 'facilities',
+  label: 'Instalações / FPSO',
+  indicators: ['fpso', 'fso', 'facility', 'instalacao', 'platform', 'plataforma', 'capacity', 'capacidade', 'terminal'],
+  fields: {
+    name: {
+      type: 'text',
+      required: true,
+      weight: 2,
+      aliases: ['instalação', 'instalacao', 'facility', 'facility name', 'fpso', 'unidade', 'nome'],
+    },
+    facility_type: {
+      type: 'enum',
+      weight: 1.5,
+      normalize: normalizeFacilityType,
+      values: ['fpso', 'fso', 'platform', 'subsea', 'terminal', 'onshore_plant'],
+      aliases: ['tipo', 'type', 'facility type', 'tipo de instalação'],
+    },
+    block: { type: 'text', aliases: ['bloco'] },
+    field: { type: 'text', aliases: ['campo'] },
+    operator: { type: 'text', weight: 1.5, aliases: ['operador', 'operadora'] },
+    latitude: {
+      type: 'latitude',
+      min: -90,
+      max: 90,
+      weight: 0.5,
+      aliases: ['lat'],
+    },
+    longitude: {
+      type: 'longitude',
+      min: -180,
+      max: 180,
+      weight: 0.5,
+      aliases: ['long', 'lng', 'lon'],
+    },
+    easting: {
+      type: 'easting',
+      weight: 0.5,
+      aliases: ['este', 'utm x', 'utm este', 'coord x', 'x'],
+    },
+    northing: {
+      type: 'northing',
+      weight: 0.5,
+      aliases: ['norte', 'utm y', 'utm norte', 'coord y', 'y'],
+    },
+    water_depth: {
+      type: 'number',
+      quantity: 'length',
+      min: 0,
+      weight: 1.5,
+      aliases: ['water depth', 'lâmina d\'água', 'lamina dagua', 'lda'],
+    },
+    oil_capacity: {
+      type: 'number',
+      quantity: 'liquid_rate',
+      min: 0,
+      weight: 2,
+      aliases: ['oil capacity', 'capacidade óleo', 'capacidade de óleo', 'processing capacity'],
+    },
+    gas_capacity: {
+      type: 'number',
+      quantity: 'gas_rate',
+      min: 0,
+      aliases: ['gas capacity', 'capacidade gás', 'capacidade de gás'],
+    },
+    storage_capacity: {
+      type: 'number',
+      quantity: 'liquid_volume',
+      min: 0,
+      weight: 1.5,
+      aliases: ['storage capacity', 'capacidade de armazenamento', 'armazenamento'],
+    },
+    start_date: {
+      type: 'date',
+      aliases: ['start date', 'first oil', 'data início', 'data inicio', 'data de início'],
+    },
+    status: { type: 'text', aliases: ['estado'] },
+  },
+});
+
+/**
+ * Target field of a source header: the exact lowercased header, then its header
+ * tokens (unit suffix stripped, as detectDataType reads them), so "OIL (bbl)" and
+ * "OIL_BBL" map like "oil". Unknown headers come back lowercased.
+ */
+function normalizeColumnName(name, dataType, mappings) {
+  const normalized = String(name).toLowerCase().trim();
+  const schema = getSchema(dataType) || getSchema('wells');
+  const map = mappings || schema.columnMappings;
+  const lookup = (key) => (Object.hasOwn(map, key) ? map[key] : null);
+  if (lookup(normalized)) return lookup(normalized);
+
+  const { tokens } = tokenizeHeader(name);
+  for (const key of [tokens.join(' '), tokens.join('_')]) {
+    if (lookup(key)) return lookup(key);
+  }
+  const joined = tokens.join('_');
+  return tokens.length > 0 && schema.fieldNames.includes(joined) ? joined : normalized;
+}
+
+// ============================================
+// NUMBER PARSING - Locale-aware decimal / thousands separators
+// pt: 1.234,56   en: 1,234.56
+// A single separator followed by exactly three digits ("1.234", "1,234") reads
+// differently in each convention; without a known format it is reported as
+// ambiguous instead of guessed.
+// ============================================
+const NUMBER_FORMATS = ['auto', 'pt', 'en'];
+const NUMBER_FORMAT_SAMPLE_SIZE = 200;
+
+function resolveNumberFormat(value) {
+  if (value === undefined || value === null || value === '') return 'auto';
+  if (!NUMBER_FORMATS.includes(value)) {
+    throw requestError('params.invalidNumberFormat', { value, allowed: NUMBER_FORMATS.join(', ') });
+  }
+  return value;
+}
+
+function isThousandsGrouped(intPart, separator) {
+  const groups = intPart.split(separator);
+  return groups.length > 1 && /^[1-9]\d{0,2}$/.test(groups[0]) && groups.slice(1).every((g) => /^\d{3}$/.test(g));
+}
+
+/**
+ * Read the separators of an unsigned numeric string ("1.234,56") in a format.
+ * Returns { value } or { value: null, invalid } or { value: null, ambiguous: { pt, en } }.
+ */
+function readSeparators(digits, format) {
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+
+  if (lastDot === -1 && lastComma === -1) return { value: Number(digits) };
+
+  if (lastDot !== -1 && lastComma !== -1) {
+    // Both present: the last one is the decimal separator
+    const decimal = lastDot > lastComma ? '.' : ',';
+    const thousands = decimal === '.' ? ',' : '.';
+    const [intPart, fraction, extra] = digits.split(decimal);
+    if (extra !== undefined || !/^\d+$/.test(fraction) || !isThousandsGrouped(intPart, thousands)) {
+      return { value: null, invalid: true };
+    }
+    return { value: Number(`${intPart.split(thousands).join('')}.${fraction}`) };
+  }
+
+  const separator = lastDot !== -1 ? '.' : ',';
+  const parts = digits.split(separator);
+
+  if (parts.length > 2) {
+    // Repeated separator can only be thousands grouping
+    return isThousandsGrouped(digits, separator) ? { value: Number(parts.join('')) } : { value: null, invalid: true };
+  }
+
+  const asDecimal = Number(`${parts[0] || '0'}.${parts[1]}`);
+  if (!/^\d+$/.test(parts[1])) return { value: null, invalid: true };
+  if (!isThousandsGrouped(digits, separator)) return { value: asDecimal };
+
+  const asThousands = Number(parts.join(''));
+  const decimalIn = separator === '.' ? 'en' : 'pt';
+  if (format === 'auto') {
+    return {
+      value: null,
+      ambiguous: decimalIn === 'pt' ? { pt: asDecimal, en: asThousands } : { pt: asThousands, en: asDecimal },
+    };
+  }
+  return { value: format === decimalIn ? asDecimal : asThousands };
+}
+
+/**
+ * Parse a numeric cell. Access numeric columns arrive as numbers and are kept;
+ * text cells may carry thousands separators, scientific notation, a trailing
+ * unit ("150 bbl") and, for percent fields, a "%" sign.
+ * Returns { value, issue } where issue is { code, params } for values that
+ * could not be read unambiguously.
+ */
+function parseLocaleNumber(val, { format = 'auto', percent = false } = {}) {
+  if (val === null || val === undefined) return { value: null };
+  if (typeof val === 'number') return { value: Number.isFinite(val) ? val : null };
+  if (typeof val === 'bigint') return { value: Number(val) };
+
+  const raw = String(val).trim();
+  if (!raw) return { value: null };
+  const invalid = { value: null, issue: { code: 'invalid_number', params: { value: raw } } };
+
+  let str = raw.replace(/[\s'\u2019]/g, ''); // \s also covers no-break spaces
+  const hasPercent = str.endsWith('%');
+  if (hasPercent) {
+    if (!percent) return invalid;
+    str = str.slice(0, -1);
+  }
+
+  // Optional currency/label prefix, the number, then an optional unit suffix
+  const match = str.match(/^[^\d+\-.,]*([-+]?)(\d[\d.,]*(?:[eE][-+]?\d+)?|[.,]\d+)(?:[^\d+\-.,].*)?$/);
+  if (!match) return invalid;
+  const [, sign, digits] = match;
+
+  if (/[eE]/.test(digits)) {
+    const [mantissa, exponent] = digits.split(/[eE]/);
+    if ((mantissa.match(/[.,]/g) || []).length > 1) return invalid;
+    const value = Number(`${sign}${mantissa.replace(',', '.')}e${exponent}`);
+    return Number.isFinite(value) ? { value } : invalid;
+  }
+
+  const result = readSeparators(digits, format);
+  if (result.invalid) return invalid;
+  if (result.ambiguous) {
+    const { pt, en } = result.ambiguous;
+    return {
+      value: null,
+      issue: { code: 'ambiguous_number', params: { value: raw, pt: `${sign}${pt}`.replace(/^\+/, ''), en: `${sign}${en}`.replace(/^\+/, '') } },
+    };
+  }
+  return { value: sign === '-' ? -result.value : result.value };
+}
+
+function parseNumber(val, format = 'auto') {
+  return parseLocaleNumber(val, { format, percent: true }).value;
+}
+
+/**
+ * Infer the number format of a table from text cells that can only be read one way
+ * ("12,5" or "1.234,56" -> pt; "12.5" or "1,234.56" -> en).
+ */
+function detectNumberFormat(rows, columns) {
+  const signals = { pt: 0, en: 0 };
+
+  for (const row of rows) {
+    for (const column of columns) {
+      const value = row[column];
+      if (typeof value !== 'string') continue;
+      const str = value.replace(/\s/g, '').replace(/%$/, '').replace(/^[-+]/, '');
+      if (!/^\d[\d.,]*\d$/.test(str) || !/[.,]/.test(str)) continue;
+
+      const lastDot = str.lastIndexOf('.');
+      const lastComma = str.lastIndexOf(',');
+      if (lastDot !== -1 && lastComma !== -1) {
+        signals[lastComma > lastDot ? 'pt' : 'en']++;
+        continue;
+      }
+      const separator = lastDot !== -1 ? '.' : ',';
+      if (str.split(separator).length > 2) {
+        signals[separator === '.' ? 'pt' : 'en']++;
+      } else if (!isThousandsGrouped(str, separator)) {
+        signals[separator === ',' ? 'pt' : 'en']++;
+      }
+    }
+  }
+
+  let format = null;
+  if (signals.pt > 0 && signals.pt >= signals.en * 4) format = 'pt';
+  else if (signals.en > 0 && signals.en >= signals.pt * 4) format = 'en';
+  return { format, signals };
+}
+
+// ============================================
+// DATE PARSING - Access dates, configurable text formats and OLE serials
+// Access date/time values are wall-clock values and are taken as they are;
+// "Date/Time Extended" columns arrive from mdb-reader as text
+// (2020.01.15 00:00:00.000000000) and are read the same way.
+// Text values are matched against the configured formats in order (day-first
+// by default, so 03/04/2021 is 3 April); a value carrying an explicit UTC
+// offset ("2021-03-04T23:30:00Z") is converted to the configured timezone
+// before its calendar date is taken. Numbers are read as OLE automation /
+// Excel serial dates.
+//
+// Format tokens: yyyy, yy, mm, m, dd, d, mon (jan/fev/feb...), any other
+// character is a literal separator. A time of day may follow any format.
+// ============================================
+const DEFAULT_DATE_FORMATS = ['yyyy-m-d', 'd/m/yyyy', 'd-m-yyyy', 'd.m.yyyy', 'd-mon-yyyy', 'd/m/yy'];
+const DATE_TIMEZONE = process.env.DATE_TIMEZONE || 'Africa/Luanda';
+const OLE_EPOCH_MS = Date.UTC(1899, 11, 30);
+const OLE_SERIAL_MIN = 10000; // 1927-05-18; smaller numbers are more likely years or counts
+const OLE_SERIAL_MAX = 100000; // 2173-10-14
+const TWO_DIGIT_YEAR_PIVOT = 70; // yy < 70 -> 20yy, otherwise 19yy
+const ACCESS_DATETIME_EXTENDED = /^(\d{4})\.(\d{2})\.(\d{2}) \d{2}:\d{2}:\d{2}\.\d{9}$/;
+
+const MONTH_ABBREVIATIONS = {
+  jan: 1, fev: 2, feb: 2, mar: 3, abr: 4, apr: 4, mai: 5, may: 5, jun: 6, jul: 7,
+  ago: 8, aug: 8, set: 9, sep: 9, out: 10, oct: 10, nov: 11, dez: 12, dec: 12,
+};
+
+const DATE_TIME_SUFFIX = '(?:[ T](\\d{1,2}):(\\d{2})(?::(\\d{2})(?:\\.\\d+)?)?)?\\s*(Z|[+-]\\d{2}:?\\d{2})?';
+const compiledDateFormats = new Map(); // format -> { regex, parts }
+
+function compileDateFormat(format) {
+  if (compiledDateFormats.has(format)) return compiledDateFormats.get(format);
+
+  const parts = [];
+  let pattern = '';
+  const tokens = String(format).toLowerCase().match(/yyyy|yy|mon|mm|m|dd|d|[^ymd]/g) || [];
+  for (const token of tokens) {
+    switch (token) {
+      case 'yyyy': pattern += '(\\d{4})'; parts.push('year'); break;
+      case 'yy': pattern += '(\\d{2})'; parts.push('year2'); break;
+      case 'mon': pattern += '([a-zç]{3,})\\.?'; parts.push('monthName'); break;
+      case 'mm': pattern += '(\\d{2})'; parts.push('month'); break;
+      case 'm': pattern += '(\\d{1,2})'; parts.push('month'); break;
+      case 'dd': pattern += '(\\d{2})'; parts.push('day'); break;
+      case 'd': pattern += '(\\d{1,2})'; parts.push('day'); break;
+      default: pattern += token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const hasYear = parts.includes('year') || parts.includes('year2');
+  const hasMonth = parts.includes('month') || parts.includes('monthName');
+  if (!hasYear || !hasMonth || !parts.includes('day')) {
+    throw requestError('params.invalidDateFormat', { value: format });
+  }
+
+  const compiled = { format, regex: new RegExp(`^${pattern}${DATE_TIME_SUFFIX}$`, 'i'), parts };
+  compiledDateFormats.set(format, compiled);
+  return compiled;
+}
+
+/**
+ * Parse a dateFormats parameter (array or comma separated string); null when not given
+ */
+function resolveDateFormats(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const formats = Array.isArray(value) ? value : String(value).split(',');
+  const cleaned = formats.map((format) => String(format).trim()).filter(Boolean);
+  cleaned.forEach(compileDateFormat);
+  return cleaned.length ? cleaned : null;
+}
+
+function resolveTimezone(value) {
+  if (value === undefined || value === null || value === '') return null;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: String(value) });
+  } catch {
+    throw requestError('params.invalidTimezone', { value });
+  }
+  return String(value);
+}
+
+/**
+ * Date formats and timezone for a parse request: request parameters, then the
+ * mapping profile, then the server defaults
+ */
+function resolveDateOptions(body, profile) {
+  const requestFormats = resolveDateFormats(body.dateFormats);
+  const requestTimezone = resolveTimezone(body.timezone);
+  return {
+    formats: requestFormats || profile.dateFormats || DEFAULT_DATE_FORMATS,
+    formatsSource: requestFormats ? 'request' : profile.dateFormats ? 'profile' : 'default',
+    timezone: requestTimezone || profile.timezone || DATE_TIMEZONE,
+    timezoneSource: requestTimezone ? 'request' : profile.timezone ? 'profile' : 'default',
+  };
+}
+
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Calendar date of an instant in a timezone
+ */
+function dateInTimezone(ms, timezone) {
+  const parts = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(new Date(ms));
+  const get = (type) => parts.find((part) => part.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+function matchDateFormat(str, format, timezone) {
+  const { regex, parts } = compileDateFormat(format);
+  const match = str.match(regex);
+  if (!match) return null;
+
+  const values = {};
+  parts.forEach((part, i) => {
+    values[part] = match[i + 1];
+  });
+  const [hours, minutes, seconds, offset] = match.slice(parts.length + 1);
+
+  let year = Number(values.year);
+  if (values.year2 !== undefined) {
+    const yy = Number(values.year2);
+    year = yy < TWO_DIGIT_YEAR_PIVOT ? 2000 + yy : 1900 + yy;
+  }
+  const month = values.monthName !== undefined
+    ? MONTH_ABBREVIATIONS[foldAccents(values.monthName).toLowerCase().slice(0, 3)]
+    : Number(values.month);
+  const day = Number(values.day);
+
+  const date = month ? toIsoDate(year, month, day) : null;
+  if (!date) return null;
+  if (!offset) return { value: date, interpretation: format };
+
+  // Explicit offset: take the calendar date in the configured timezone
+  const sign = offset === 'Z' ? 0 : offset[0] === '-' ? -1 : 1;
+  const [offsetHours, offsetMinutes] = offset === 'Z' ? [0, 0] : [Number(offset.slice(1, 3)), Number(offset.slice(-2))];
+  const ms = Date.UTC(year, month - 1, day, Number(hours || 0), Number(minutes || 0), Number(seconds || 0))
+    - sign * (offsetHours * 60 + offsetMinutes) * 60000;
+  return { value: dateInTimezone(ms, timezone), interpretation: `${format}@${timezone}` };
+}
+
+/**
+ * Parse a date cell to YYYY-MM-DD: { value, interpretation, issue }
+ */
+function parseDateValue(val, { formats = DEFAULT_DATE_FORMATS, timezone = DATE_TIMEZONE } = {}) {
+  if (val === null || val === undefined || val === '') return { value: null };
+
+  if (val instanceof Date) {
+    if (isNaN(val.getTime())) return { value: null };
+    return { value: val.toISOString().split('T')[0], interpretation: 'access_date' };
+  }
+
+  const str = String(val).trim();
+  if (!str) return { value: null };
+
+  const serial = typeof val === 'number' ? val : /^\d+(?:[.,]\d+)?$/.test(str) ? Number(str.replace(',', '.')) : null;
+  if (serial !== null && serial >= OLE_SERIAL_MIN && serial < OLE_SERIAL_MAX) {
+    const ms = OLE_EPOCH_MS + Math.floor(serial) * 86400000;
+    return { value: new Date(ms).toISOString().split('T')[0], interpretation: 'ole_serial' };
+  }
+
+  const extended = str.match(ACCESS_DATETIME_EXTENDED);
+  if (extended) {
+    const value = toIsoDate(Number(extended[1]), Number(extended[2]), Number(extended[3]));
+    if (value) return { value, interpretation: 'access_datetime_extended' };
+  }
+
+  for (const format of formats) {
+    const result = matchDateFormat(str, format, timezone);
+    if (result) return result;
+  }
+  return { value: null, issue: { code: 'invalid_date', params: { value: str, formats: formats.join(', ') } } };
+}
+
+// ============================================
+// COORDINATES - DMS strings, UTM grids and local datums to WGS84
+// Latitude/longitude cells may be decimal degrees or DMS strings
+// (8°50'12"S, 8 50 12.5 S, S 8°50.2', 13:14:15E) with N/S/E/W hemisphere
+// letters (L/O for leste/oeste). The coordinate system of a table says how
+// to read them: geographic (decimal/DMS) on a datum, or UTM easting/northing
+// on a datum; the result is always WGS84 decimal degrees.
+//
+// Camacupa is shifted with the 3-parameter EPSG transformation for Angola
+// (EPSG:1327, accuracy about 25 m); UTM zones are the southern ones only.
+// ============================================
+const ELLIPSOIDS = {
+  wgs84: { a: 6378137, f: 1 / 298.257223563 },
+  clarke1880: { a: 6378249.145, f: 1 / 293.465 }, // Clarke 1880 (RGS)
+};
+
+const DATUMS = {
+  wgs84: { ellipsoid: 'wgs84', toWgs84: null },
+  camacupa: { ellipsoid: 'clarke1880', toWgs84: [-50.9, -347.6, -231.0] },
+};
+
+const COORDINATE_SYSTEMS = {
+  wgs84: { datum: 'wgs84', utmZone: null, epsg: 4326 },
+  camacupa: { datum: 'camacupa', utmZone: null, epsg: 4220 },
+  'utm32s-wgs84': { datum: 'wgs84', utmZone: 32, epsg: 32732 },
+  'utm33s-wgs84': { datum: 'wgs84', utmZone: 33, epsg: 32733 },
+  'utm32s-camacupa': { datum: 'camacupa', utmZone: 32, epsg: 22032 },
+  'utm33s-camacupa': { datum: 'camacupa', utmZone: 33, epsg: 22033 },
+};
+const DEFAULT_COORDINATE_SYSTEM = 'wgs84';
+
+const HEMISPHERES = {
+  latitude: { N: 1, S: -1 },
+  longitude: { E: 1, L: 1, W: -1, O: -1 },
+};
+const DMS_SEPARATORS = /[°º'′’"″:\s]+/;
+const COORDINATE_DECIMALS = 1e7; // ~1 cm
+
+const roundCoordinate = (value) => Math.round(value * COORDINATE_DECIMALS) / COORDINATE_DECIMALS;
+
+/**
+ * Resolve a coordinateSystem value (id or EPSG code, e.g. "EPSG:22033"); null when not given
+ */
+function resolveCoordinateSystem(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const key = String(value).trim().toLowerCase();
+  if (COORDINATE_SYSTEMS[key]) return key;
+
+  const epsg = key.match(/^(?:epsg:)?(\d+)$/);
+  const id = epsg && Object.keys(COORDINATE_SYSTEMS).find((name) => COORDINATE_SYSTEMS[name].epsg === Number(epsg[1]));
+  if (!id) {
+    throw requestError('params.invalidCoordinateSystem', { value, allowed: Object.keys(COORDINATE_SYSTEMS).join(', ') });
+  }
+  return id;
+}
+
+/**
+ * Coordinate system of a parse request: request parameter, then the mapping profile
+ */
+function resolveCoordinateOptions(body, profile) {
+  const fromRequest = resolveCoordinateSystem(body.coordinateSystem);
+  const id = fromRequest || profile.coordinateSystem || DEFAULT_COORDINATE_SYSTEM;
+  return {
+    id,
+    ...COORDINATE_SYSTEMS[id],
+    source: fromRequest ? 'request' : profile.coordinateSystem ? 'profile' : 'default',
+  };
+}
+
+/**
+ * Parse a latitude/longitude cell to decimal degrees: { value, issue }
+ */
+function parseCoordinate(val, axis, numberFormat = 'auto') {
+  if (val === null || val === undefined) return { value: null };
+  if (typeof val === 'number') return { value: Number.isFinite(val) ? val : null };
+
+  const raw = String(val).trim();
+  if (!raw) return { value: null };
+  const invalid = { value: null, issue: { code: 'invalid_coordinate', params: { value: raw } } };
+
+  let str = raw.toUpperCase();
+  let hemisphere = null;
+  const match = str.match(/^([NSEWLO])\.?\s*(.+)$/) || str.match(/^(.+?)\s*([NSEWLO])\.?$/);
+  if (match) {
+    const leading = /^[NSEWLO]/.test(str);
+    hemisphere = leading ? match[1] : match[2];
+    str = leading ? match[2] : match[1];
+    if (!(hemisphere in HEMISPHERES[axis])) return invalid;
+  }
+
+  let degrees;
+  if (!DMS_SEPARATORS.test(str)) {
+    const parsed = parseLocaleNumber(str, { format: numberFormat });
+    if (parsed.issue?.code === 'ambiguous_number') {
+      // Degrees never reach a thousand, so at most one reading is a coordinate
+      const readings = [parsed.issue.params.pt, parsed.issue.params.en].map(Number).filter((n) => Math.abs(n) <= 180);
+      if (readings.length !== 1) return parsed;
+      degrees = readings[0];
+    } else if (parsed.issue || parsed.value === null || !/^[-+]?[\d.,]+$/.test(str)) {
+      return invalid;
+    } else {
+      degrees = parsed.value;
+    }
+  } else {
+    const negative = str.startsWith('-');
+    const parts = str.replace(/^[-+]/, '').split(DMS_SEPARATORS).filter(Boolean);
+    if (parts.length > 3 || !parts.every((part, i) => /^\d+$/.test(part) || (i === parts.length - 1 && /^\d+[.,]\d+$/.test(part)))) {
+      return invalid;
+    }
+    const [d, m = 0, s = 0] = parts.map((part) => Number(part.replace(',', '.')));
+    if (m >= 60 || s >= 60) return invalid;
+    degrees = (negative ? -1 : 1) * (d + m / 60 + s / 3600);
+  }
+
+  if (hemisphere) {
+    const sign = HEMISPHERES[axis][hemisphere];
+    if (degrees < 0 && sign > 0) return invalid; // "-8.5 N" contradicts itself
+    degrees = sign * Math.abs(degrees);
+  }
+  return { value: roundCoordinate(degrees) };
+}
+
+/**
+ * Inverse transverse Mercator (UTM, southern hemisphere) to geographic degrees
+ * on the given ellipsoid
+ */
+function utmToGeographic(easting, northing, zone, { a, f }) {
+  const k0 = 0.9996;
+  const e2 = f * (2 - f);
+  const ep2 = e2 / (1 - e2);
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+  const x = easting - 500000;
+  const y = northing - 10000000;
+  const mu = y / k0 / (a * (1 - e2 / 4 - (3 * e2 ** 2) / 64 - (5 * e2 ** 3) / 256));
+  const phi1 = mu
+    + ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu)
+    + ((21 * e1 ** 2) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu)
+    + ((151 * e1 ** 3) / 96) * Math.sin(6 * mu)
+    + ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+
+  const sinPhi = Math.sin(phi1);
+  const cosPhi = Math.cos(phi1);
+  const n1 = a / Math.sqrt(1 - e2 * sinPhi ** 2);
+  const t1 = Math.tan(phi1) ** 2;
+  const c1 = ep2 * cosPhi ** 2;
+  const r1 = (a * (1 - e2)) / (1 - e2 * sinPhi ** 2) ** 1.5;
+  const d = x / (n1 * k0);
+
+  const lat = phi1 - ((n1 * Math.tan(phi1)) / r1) * (
+    d ** 2 / 2
+    - ((5 + 3 * t1 + 10 * c1 - 4 * c1 ** 2 - 9 * ep2) * d ** 4) / 24
+    + ((61 + 90 * t1 + 298 * c1 + 45 * t1 ** 2 - 252 * ep2 - 3 * c1 ** 2) * d ** 6) / 720
+  );
+  const lon = (
+    d
+    - ((1 + 2 * t1 + c1) * d ** 3) / 6
+    + ((5 - 2 * c1 + 28 * t1 - 3 * c1 ** 2 + 8 * ep2 + 24 * t1 ** 2) * d ** 5) / 120
+  ) / cosPhi;
+
+  const toDegrees = 180 / Math.PI;
+  return { latitude: lat * toDegrees, longitude: (zone * 6 - 183) + lon * toDegrees };
+}
+
+/**
+ * Shift geographic degrees from a datum to WGS84 through geocentric coordinates
+ */
+function datumToWgs84(latitude, longitude, datumId) {
+  const datum = DATUMS[datumId];
+  if (!datum.toWgs84) return { latitude, longitude };
+
+  const from = ELLIPSOIDS[datum.ellipsoid];
+  const to = ELLIPSOIDS.wgs84;
+  const [dx, dy, dz] = datum.toWgs84;
+  const lat = (latitude * Math.PI) / 180;
+  const lon = (longitude * Math.PI) / 180;
+
+  const fromE2 = from.f * (2 - from.f);
+  const n = from.a / Math.sqrt(1 - fromE2 * Math.sin(lat) ** 2);
+  const X = n * Math.cos(lat) * Math.cos(lon) + dx;
+  const Y = n * Math.cos(lat) * Math.sin(lon) + dy;
+  const Z = n * (1 - fromE2) * Math.sin(lat) + dz;
+
+  const toE2 = to.f * (2 - to.f);
+  const p = Math.sqrt(X ** 2 + Y ** 2);
+  let phi = Math.atan2(Z, p * (1 - toE2));
+  for (let i = 0; i < 5; i++) {
+    const nPhi = to.a / Math.sqrt(1 - toE2 * Math.sin(phi) ** 2);
+    const h = p / Math.cos(phi) - nPhi;
+    phi = Math.atan2(Z, p * (1 - (toE2 * nPhi) / (nPhi + h)));
+  }
+  return { latitude: (phi * 180) / Math.PI, longitude: (Math.atan2(Y, X) * 180) / Math.PI };
+}
+
+/**
+ * Fill latitude/longitude of a parsed row with WGS84 degrees.
+ * UTM systems read easting/northing when both are present; otherwise the
+ * latitude/longitude columns are taken as geographic on the system's datum.
+ * Returns { field, code, params } when a UTM pair is incomplete.
+ */
+function resolveRowCoordinates(data, coordinateSystem) {
+  if (!coordinateSystem || !('latitude' in data) || !('longitude' in data)) return null;
+  const { datum, utmZone } = coordinateSystem;
+
+  let position = null;
+  if (utmZone && (data.easting ?? null) !== null && (data.northing ?? null) !== null) {
+    position = utmToGeographic(data.easting, data.northing, utmZone, ELLIPSOIDS[DATUMS[datum].ellipsoid]);
+  } else if (utmZone && ((data.easting ?? null) !== null || (data.northing ?? null) !== null)) {
+    const field = data.easting === null ? 'easting' : 'northing';
+    return { field, code: 'incomplete_utm', params: { field } };
+  } else if (data.latitude !== null && data.longitude !== null) {
+    if (!DATUMS[datum].toWgs84) return null;
+    position = { latitude: data.latitude, longitude: data.longitude };
+  }
+  if (!position) return null;
+
+  const wgs84 = datumToWgs84(position.latitude, position.longitude, datum);
+  data.latitude = roundCoordinate(wgs84.latitude);
+  data.longitude = roundCoordinate(wgs84.longitude);
+  return null;
+}
+
+// ============================================
+// GEO VALIDATION - Coordinates against Angola regions and concession blocks
+// Boundaries come from a local GeoJSON FeatureCollection: features with
+// properties.kind "region" bound where points may lie (the default file has
+// a coarse outline of Angola onshore + EEZ); features with properties.block
+// are concession blocks. Points outside every region are tested with lat/lon
+// swapped and with flipped signs to name the likely mistake; points are
+// matched against the block polygons when the row has a block.
+// ============================================
+const GEO_BOUNDARIES_FILE = process.env.GEO_BOUNDARIES_FILE || path.join(__dirname, 'data', 'angola-boundaries.geojson');
+const GEO_VALIDATION_DEFAULT = process.env.GEO_VALIDATION === 'true';
+
+const geoBoundaries = { regions: [], blocks: [], loaded: false };
+
+/**
+ * Polygon rings of a GeoJSON geometry as [[outer, ...holes], ...] with a bounding box
+ */
+function toGeoShape(geometry) {
+  const polygons = geometry?.type === 'Polygon' ? [geometry.coordinates]
+    : geometry?.type === 'MultiPolygon' ? geometry.coordinates
+      : null;
+  if (!polygons) return null;
+
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [lon, lat] of polygons.flatMap((rings) => rings[0])) {
+    bbox[0] = Math.min(bbox[0], lon);
+    bbox[1] = Math.min(bbox[1], lat);
+    bbox[2] = Math.max(bbox[2], lon);
+    bbox[3] = Math.max(bbox[3], lat);
+  }
+  return { polygons, bbox };
+}
+
+/**
+ * Block names compare without accents, case, "bloco"/"block" prefix or separators
+ * ("Bloco 17" = "block-17" = "17")
+ */
+function normalizeBlockName(value) {
+  return foldAccents(String(value)).toLowerCase().replace(/^\s*(bloco|block|blk)\b/, '').replace(/[\s_\-./]/g, '');
+}
+
+function loadGeoBoundaries() {
+  if (!fs.existsSync(GEO_BOUNDARIES_FILE)) {
+    console.warn(`[geo] Boundaries file not found: ${GEO_BOUNDARIES_FILE}`);
+    return;
+  }
+  try {
+    const collection = JSON.parse(fs.readFileSync(GEO_BOUNDARIES_FILE, 'utf8'));
+    for (const feature of collection.features || []) {
+      const shape = toGeoShape(feature.geometry);
+      const props = feature.properties || {};
+      if (!shape) continue;
+
+      if (props.block !== undefined && props.block !== null) {
+        geoBoundaries.blocks.push({ name: String(props.block), key: normalizeBlockName(props.block), ...shape });
+      } else if (props.kind === 'region') {
+        geoBoundaries.regions.push({ name: String(props.name || 'region'), ...shape });
+      }
+    }
+    geoBoundaries.loaded = true;
+    console.log(`[geo] Loaded ${geoBoundaries.regions.length} regions and ${geoBoundaries.blocks.length} blocks`);
+    if (geoBoundaries.blocks.length === 0) {
+      console.warn('[geo] No block polygons: block checks are off (set GEO_BOUNDARIES_FILE to a file with "block" features)');
+    }
+  } catch (e) {
+    console.error(`[geo] Failed to load ${GEO_BOUNDARIES_FILE}:`, e);
+  }
+}
+
+loadGeoBoundaries();
+
+function pointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInShape(lon, lat, { polygons, bbox }) {
+  if (lon < bbox[0] || lat < bbox[1] || lon > bbox[2] || lat > bbox[3]) return false;
+  return polygons.some(([outer, ...holes]) => pointInRing(lon, lat, outer) && !holes.some((hole) => pointInRing(lon, lat, hole)));
+}
+
+/**
+ * Resolve the geoValidation parameter (boolean, or "true"/"false" from multipart bodies)
+ */
+function resolveGeoValidation(value) {
+  const enabled = value === undefined || value === null || value === '' ? GEO_VALIDATION_DEFAULT : value === true || value === 'true';
+  return {
+    enabled,
+    boundaries: geoBoundaries.loaded ? path.basename(GEO_BOUNDARIES_FILE) : null,
+    regions: geoBoundaries.regions.length,
+    blocks: geoBoundaries.blocks.length,
+    // block_mismatch / outside_block need block polygons, which the bundled file does not have
+    blockChecks: geoBoundaries.blocks.length > 0,
+  };
+}
+
+/**
+ * Check a row's WGS84 position: [{ field, code, params }]
+ *   outside_region   - in no region, and no simple mistake explains it
+ *   latlon_swapped   - the point falls in a region with latitude and longitude swapped
+ *   coordinate_sign  - the point falls in a region with a sign flipped
+ *   block_mismatch   - the point lies in another block's polygon
+ *   outside_block    - the row's block has a polygon that does not contain the point
+ */
+function checkRowGeography(data) {
+  const { latitude, longitude } = data;
+  if (latitude === null || latitude === undefined || longitude === null || longitude === undefined) return [];
+  const issues = [];
+
+  const inRegion = (lat, lon) => geoBoundaries.regions.some((region) => pointInShape(lon, lat, region));
+  if (geoBoundaries.regions.length && !inRegion(latitude, longitude)) {
+    const params = { latitude, longitude };
+    if (inRegion(longitude, latitude)) {
+      issues.push({ field: 'latitude', code: 'latlon_swapped', params: { ...params, suggestedLatitude: longitude, suggestedLongitude: latitude } });
+    } else {
+      const flip = [[-latitude, longitude], [latitude, -longitude], [-latitude, -longitude]].find(([lat, lon]) => inRegion(lat, lon));
+      issues.push(flip
+        ? { field: flip[0] !== latitude ? 'latitude' : 'longitude', code: 'coordinate_sign', params: { ...params, suggestedLatitude: flip[0], suggestedLongitude: flip[1] } }
+        : { field: 'latitude', code: 'outside_region', params });
+    }
+    return issues;
+  }
+
+  if (data.block && geoBoundaries.blocks.length) {
+    const key = normalizeBlockName(data.block);
+    const containing = geoBoundaries.blocks.filter((block) => pointInShape(longitude, latitude, block));
+    if (!containing.some((block) => block.key === key)) {
+      if (containing.length) {
+        issues.push({ field: 'block', code: 'block_mismatch', params: { block: data.block, found: containing.map((block) => block.name).join(', ') } });
+      } else if (geoBoundaries.blocks.some((block) => block.key === key)) {
+        issues.push({ field: 'block', code: 'outside_block', params: { block: data.block } });
+      }
+    }
+  }
+  return issues;
+}
+
+// ============================================
+// PARSE SCHEMA ROW - Map, convert and validate a row against a schema
+// ============================================
+/**
+ * Convert a source value to the field type: { value, issue }.
+ * `issue` ({ code, params }) flags values that were present but could not be read.
+ */
+function convertFieldValue(field, value, { numberFormat = 'auto', dateFormats, timezone } = {}) {
+  switch (field.type) {
+    case 'number':
+    case 'percent':
+    case 'hours':
+    case 'easting':
+    case 'northing':
+      return parseLocaleNumber(value, { format: numberFormat, percent: field.type === 'percent' });
+    case 'latitude':
+    case 'longitude':
+      return parseCoordinate(value, field.type, numberFormat);
+    case 'date':
+      return parseDateValue(value, { formats: dateFormats, timezone });
+    case 'enum': {
+      const normalized = field.normalize ? field.normalize(value) : value;
+      return { value: normalized ? String(normalized) : null };
+    }
+    default:
+      return { value: value !== null && value !== undefined && value !== '' ? String(value) : null };
+  }
+}
+
+/**
+ * Structured row issue: { field, sourceColumn, code, value, message }
+ */
+function formatRowIssue(field, code, message, sourceColumns, original) {
+  const sourceColumn = sourceColumns[field] ?? null;
+  return {
+    field,
+    sourceColumn,
+    code,
+    value: sourceColumn !== null ? original[sourceColumn] ?? null : null,
+    message,
+  };
+}
+
+function parseSchemaRow(schema, row, columns, rowIndex, columnMapping, options = {}) {
+  const { ruleSet = ruleSets.default, locale = DEFAULT_LOCALE } = options;
+  const original = {};
+  const mapped = {};
+  const sourceColumns = {}; // field -> source column
+
+  columns.forEach((col) => {
+    const normalizedCol = columnMapping ? columnMapping[col] : normalizeColumnName(col, schema.id);
+    original[col] = row[col];
+    if (normalizedCol) {
+      mapped[normalizedCol] = row[col];
+      sourceColumns[normalizedCol] = col;
+    }
+  });
+
+  const data = {};
+  const units = {}; // field -> original value and unit, for converted fields
+  const errors = [];
+  const warnings = [];
+
+  // Conversion and geo issues are warnings (the value is kept or left empty) unless the rule set escalates them
+  const reportIssue = (group, { field, code, params }) => {
+    const severity = ruleSet.severity({ rule: 'value', code, severity: 'warning' });
+    const message = translate(locale, `${group}.${code}`, params);
+    (severity === 'error' ? errors : warnings).push(formatRowIssue(field, code, message, sourceColumns, original));
+  };
+
+  for (const [name, field] of Object.entries(schema.fields)) {
+    const { value, issue, interpretation } = convertFieldValue(field, mapped[name], options);
+    data[name] = value;
+    const unit = options.unitPlan?.[name];
+    if (unit && value !== null && unit.source !== 'assumed') {
+      data[name] = convertToCanonical(value, unit);
+      units[name] = { value, unit: unit.unit, canonicalUnit: unit.canonicalUnit };
+    }
+    if (interpretation && options.dateStats) {
+      const stats = (options.dateStats[name] ||= {});
+      stats[interpretation] = (stats[interpretation] || 0) + 1;
+    }
+    if (issue) reportIssue('value', { field: name, ...issue });
+  }
+
+  // Coordinates are brought to WGS84 before the range rules see them
+  const coordinateIssue = resolveRowCoordinates(data, options.coordinateSystem);
+  if (coordinateIssue) reportIssue('value', coordinateIssue);
+  if (options.geoValidation?.enabled && 'latitude' in schema.fields) {
+    checkRowGeography(data).forEach((issue) => reportIssue('geo', issue));
+  }
+
+  const failed = validateSchemaData(schema, data, ruleSet);
+  const toIssue = (rule) => formatRowIssue(rule.field, rule.code, renderRuleMessage(locale, schema.id, rule), sourceColumns, original);
+  errors.push(...failed.errors.map(toIssue));
+  warnings.push(...failed.warnings.map(toIssue));
+
+  // Defaults fill optional fields only after validation saw the missing value
+  for (const [name, field] of Object.entries(schema.fields)) {
+    if (data[name] === null && field.default !== undefined) data[name] = field.default;
+  }
+
+  if (errors.length === 0) {
+    return { row: rowIndex + 1, data, units, errors: [], warnings, original };
+  } else {
+    return { row: rowIndex + 1, data: null, units, errors, warnings, original };
+  }
+}
+
+// ============================================
+// PARSE RAW ROW - No mapping or validation
+// ============================================
+function parseRawRow(row, columns, rowIndex) {
+  const original = {};
+  columns.forEach((col) => {
+    original[col] = row[col];
+  });
+  return { row: rowIndex + 1, data: { ...original }, errors: [], warnings: [], original };
+}
+
+/**
+ * Row parser for a data type: a registered schema, or 'raw'
+ */
+function getRowParser(dataType, options) {
+  if (dataType === 'raw') return parseRawRow;
+  const schema = getSchema(dataType);
+  return (row, columns, rowIndex, columnMapping) => parseSchemaRow(schema, row, columns, rowIndex, columnMapping, options);
+}
+
+// ============================================
+// ROW FINGERPRINTS - Stable row hashes for incremental sync
+// `hash` covers every column (by name, so column order does not matter;
+// dates as ISO strings). `key` identifies the row across syncs: the hash of
+// the key columns, or the row hash itself without key columns.
+// Both are the first 128 bits of a SHA-256, in hex.
+// ============================================
+function fingerprintValues(values) {
+  return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex').slice(0, 32);
+}
+
+/**
+ * { key, hash } of a raw row; sortedColumns are the table columns sorted by name
+ */
+function fingerprintRow(row, sortedColumns, keyColumns) {
+  const hash = fingerprintValues(sortedColumns.map((column) => [column, row[column] ?? null]));
+  const key = keyColumns?.length ? fingerprintValues(keyColumns.map((column) => row[column] ?? null)) : hash;
+  return { key, hash };
+}
+
+export {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  translate,
+  requestError,
+  tokenizeHeader,
+  parseColumnUnitsParam,
+  normalizeProfileUnits,
+  resolveUnitPlan,
+  schemaRegistry,
+  getSchema,
+  listSchemas,
+  describeSchema,
+  getSyncTarget,
+  normalizeColumnName,
+  ruleSets,
+  resolveRuleSet,
+  NUMBER_FORMAT_SAMPLE_SIZE,
+  resolveNumberFormat,
+  parseNumber,
+  detectNumberFormat,
+  resolveDateFormats,
+  resolveTimezone,
+  resolveDateOptions,
+  resolveCoordinateSystem,
+  resolveCoordinateOptions,
+  resolveGeoValidation,
+  getRowParser,
+  fingerprintRow,
+};
@@ -1,10 +1,53 @@
 import express from 'express';
 import multer from 'multer';
 import cors from 'cors';
-import MDBReader from 'mdb-reader';
 import crypto from 'crypto';
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
+import { once } from 'events';
+import { Worker } from 'worker_threads';
+import {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  translate,
+  requestError,
+  tokenizeHeader,
+  parseColumnUnitsParam,
+  normalizeProfileUnits,
+  resolveUnitPlan,
+  schemaRegistry,
+  getSchema,
+  listSchemas,
+  describeSchema,
+  getSyncTarget,
+  normalizeColumnName,
+  ruleSets,
+  resolveRuleSet,
+  NUMBER_FORMAT_SAMPLE_SIZE,
+  resolveNumberFormat,
+  parseNumber,
+  detectNumberFormat,
+  resolveDateFormats,
+  resolveTimezone,
+  resolveDateOptions,
+  resolveCoordinateSystem,
+  resolveCoordinateOptions,
+  resolveGeoValidation,
+} from './parsing.js';
+import {
+  ALLOW_REQUEST_CREDENTIALS,
+  DEFAULT_DESTINATION_ID,
+  resolveDestinationConfig,
+  getNamedDestination,
+  listNamedDestinations,
+  describeDestination,
+  splitDestinationCredentials,
+  requiresCredentials,
+  checkDestination,
+  supportsIncrementalSync,
+  openDestination,
+} from './destinations.js';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -56,7 +99,7 @@ const chunkUpload = multer({
   limits: { fileSize: CHUNK_SIZE + 1024 * 1024 }, // chunk + overhead
 });
 
-const chunkSessions = new Map(); // uploadId -> { dirPath, filename, totalChunks, size, createdAt }
+const chunkSessions = new Map(); // uploadId -> { dirPath, filename, totalChunks, size, sha256, chunks, createdAt }
 
 // Enable CORS for all origins
 app.use(cors());
@@ -66,7 +109,7 @@ app.use(express.json());
 // FILE SESSION CACHE
 // Keep references to files on disk to avoid re-uploads
 // ============================================
-const fileCache = new Map(); // sessionId -> { filePath, filename, timestamp }
+const fileCache = new Map(); // sessionId -> { filePath, filename, size, sha256, timestamp }
 const SESSION_TIMEOUT = 60 * 60 * 1000; // 60 minutes
 
 // Clean up expired sessions periodically (also delete files from disk)
@@ -75,25 +118,30 @@ setInterval(() => {
 
   // Expire parse sessions
   for (const [sessionId, data] of fileCache.entries()) {
-    if (now - data.timestamp > SESSION_TIMEOUT) {
+    if (now - data.timestamp > SESSION_TIMEOUT && !sessionHasActiveJob(sessionId)) {
       console.log(`[cache] Expiring session: ${sessionId}`);
-      // Delete file from disk
-      if (data.filePath && fs.existsSync(data.filePath)) {
-        try {
-          fs.unlinkSync(data.filePath);
-          console.log(`[cache] Deleted file: ${data.filePath}`);
-        } catch (e) {
-          console.error(`[cache] Failed to delete file: ${data.filePath}`, e);
-        }
+      releaseSessionFile(sessionId);
+    }
+  }
+
+  // Delete stored files nobody has referenced for a while
+  for (const [sha256, entry] of fileStore.entries()) {
+    if (entry.refCount === 0 && now - entry.releasedAt > STORE_RETENTION) {
+      console.log(`[store] Deleting unreferenced file: ${sha256}`);
+      try {
+        fs.rmSync(entry.filePath, { force: true });
+        fileStore.delete(sha256);
+        dropAccessFile(entry.filePath);
+      } catch (e) {
+        console.error(`[store] Failed to delete file: ${entry.filePath}`, e);
       }
-      fileCache.delete(sessionId);
     }
   }
 
   // Expire chunk uploads (keep a bit longer than normal sessions)
   const CHUNK_TIMEOUT = 2 * 60 * 60 * 1000; // 2 hours
   for (const [uploadId, data] of chunkSessions.entries()) {
-    if (now - data.createdAt > CHUNK_TIMEOUT) {
+    if (now - data.createdAt > CHUNK_TIMEOUT && data.status !== 'assembling' && data.status !== 'processing') {
       console.log(`[chunks] Expiring upload: ${uploadId}`);
       if (data.dirPath && fs.existsSync(data.dirPath)) {
         try {
@@ -106,6 +154,24 @@ setInterval(() => {
       chunkSessions.delete(uploadId);
     }
   }
+
+  // Drop finished job journals past retention (staged rows a failed atomic job
+  // could not discard when it failed are retried first)
+  for (const [jobId, job] of jobs.entries()) {
+    if (JOB_FINAL_STATUSES.includes(job.status) && now - Date.parse(job.finishedAt) > JOB_RETENTION) {
+      jobs.delete(jobId);
+      discardJobStaging(job)
+        .catch((e) => console.error(`[jobs] Failed to discard staged rows of job ${jobId}:`, e.message))
+        .finally(() => {
+          jobCredentials.delete(jobId);
+          try {
+            fs.rmSync(getJobPath(jobId), { force: true });
+          } catch (e) {
+            console.error(`[jobs] Failed to delete job journal: ${jobId}`, e);
+          }
+        });
+    }
+  }
 }, 5 * 60 * 1000); // Check every 5 minutes
 
 function generateSessionId() {
@@ -116,6 +182,22 @@ function generateUploadId() {
   return crypto.randomBytes(16).toString('hex');
 }
 
+function sha256Hex(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Normalize an optional SHA-256 parameter (hex, case-insensitive); null when not given
+ */
+function parseSha256Param(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const hash = String(value).trim().toLowerCase();
+  if (!/^[0-9a-f]{64}$/.test(hash)) {
+    throw requestError('upload.invalidChecksum', { value });
+  }
+  return hash;
+}
+
 function sanitizeFilename(filename) {
   return String(filename || 'upload.accdb')
     .replace(/[/\\?%*:|"<>]/g, '_')
@@ -128,6 +210,15 @@ function ensureDir(dirPath) {
   }
 }
 
+/**
+ * Write JSON via a temp file + rename so a crash never leaves a half-written file
+ */
+function writeJsonFile(filePath, data) {
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
 function getChunkDir(uploadId) {
   return path.join(CHUNKS_DIR, uploadId);
 }
@@ -138,478 +229,1757 @@ function getChunkPath(uploadId, index) {
 
 function assertChunkSession(uploadId) {
   if (!uploadId || !chunkSessions.has(uploadId)) {
-    const err = new Error('Upload não encontrado ou expirado. Reenvie o arquivo.');
-    // @ts-ignore
-    err.statusCode = 400;
-    throw err;
+    throw requestError('upload.notFound');
   }
   return chunkSessions.get(uploadId);
 }
 
-function assembleChunksSync(uploadId, totalChunks, outFilePath) {
-  const fd = fs.openSync(outFilePath, 'w');
+/**
+ * Stream the chunks into outFilePath, hashing on the way: { size, sha256 }.
+ * Reads and writes are asynchronous and honour back-pressure, so other
+ * requests keep being served while a large file is assembled.
+ */
+async function assembleChunks(uploadId, totalChunks, outFilePath) {
+  for (let i = 0; i < totalChunks; i++) {
+    if (!fs.existsSync(getChunkPath(uploadId, i))) {
+      throw requestError('upload.chunkMissing', { index: i, last: totalChunks - 1 });
+    }
+  }
+
+  const out = fs.createWriteStream(outFilePath);
+  const hash = crypto.createHash('sha256');
+  let size = 0;
   try {
     for (let i = 0; i < totalChunks; i++) {
-      const chunkPath = getChunkPath(uploadId, i);
-      if (!fs.existsSync(chunkPath)) {
-        const err = new Error(`Chunk ausente: ${i}/${totalChunks - 1}`);
-        // @ts-ignore
-        err.statusCode = 400;
-        throw err;
+      for await (const buf of fs.createReadStream(getChunkPath(uploadId, i))) {
+        hash.update(buf);
+        size += buf.length;
+        if (!out.write(buf)) await once(out, 'drain');
       }
-      const buf = fs.readFileSync(chunkPath);
-      fs.writeSync(fd, buf);
     }
-  } finally {
-    fs.closeSync(fd);
+    out.end();
+    await once(out, 'finish');
+  } catch (err) {
+    out.destroy();
+    throw err;
   }
+  return { size, sha256: hash.digest('hex') };
+}
+
+// ============================================
+// FILE STORE - Content-addressed Access files
+// Uploaded files are stored once under uploads/_store/<sha256>, however many
+// sessions use them. Each session holds a reference (its fileCache entry
+// carries the sha256); when the last one is released the file is kept for
+// STORE_RETENTION so a new upload of the same database can skip sending it,
+// then deleted by the expiry sweep.
+// ============================================
+const STORE_DIR = path.join(UPLOADS_DIR, '_store');
+const STORE_RETENTION = Number(process.env.STORE_RETENTION_MS) || 60 * 60 * 1000; // 60 minutes
+
+ensureDir(STORE_DIR);
+
+const fileStore = new Map(); // sha256 -> { filePath, size, refCount, releasedAt }
+
+// Files survive restarts; sessions do not, so every stored file starts unreferenced
+for (const name of fs.readdirSync(STORE_DIR)) {
+  if (!/^[0-9a-f]{64}$/.test(name)) continue;
+  const filePath = path.join(STORE_DIR, name);
+  fileStore.set(name, { filePath, size: fs.statSync(filePath).size, refCount: 0, releasedAt: Date.now() });
+}
+if (fileStore.size) console.log(`[store] Indexed ${fileStore.size} stored files`);
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
 }
 
 /**
- * Helper to read file buffer from disk
+ * Stored file for a hash, if present on disk
  */
-function readFileBuffer(filePath) {
-  return fs.readFileSync(filePath);
+function findStoredFile(sha256) {
+  const entry = sha256 ? fileStore.get(sha256) : null;
+  if (!entry) return null;
+  if (!fs.existsSync(entry.filePath)) {
+    fileStore.delete(sha256);
+    return null;
+  }
+  return entry;
 }
 
-// ============================================
-// COLUMN MAPPINGS - WELLS
-// ============================================
-const wellsColumnMappings = {
-  nome: 'name',
-  'nome do poço': 'name',
-  poço: 'name',
-  poco: 'name',
-  bloco: 'block',
-  campo: 'field',
-  'campo petrolífero': 'field',
-  província: 'province',
-  provincia: 'province',
-  latitude: 'latitude',
-  lat: 'latitude',
-  longitude: 'longitude',
-  long: 'longitude',
-  lng: 'longitude',
-  profundidade: 'depth',
-  depth: 'depth',
-  tipo: 'type',
-  type: 'type',
-  'tipo de hidrocarboneto': 'type',
-  reservas: 'estimated_reserves',
-  'reservas estimadas': 'estimated_reserves',
-  estimated_reserves: 'estimated_reserves',
-  'produção diária': 'daily_production',
-  'producao diaria': 'daily_production',
-  produção: 'daily_production',
-  daily_production: 'daily_production',
-  'data de início': 'production_start_date',
-  'data inicio': 'production_start_date',
-  'início produção': 'production_start_date',
-  production_start_date: 'production_start_date',
-  status: 'status',
-  estado: 'status',
-  'taxa de declínio': 'decline_rate',
-  declínio: 'decline_rate',
-  decline_rate: 'decline_rate',
-};
+/**
+ * Move a freshly written file into the store; when the content is already
+ * stored the new copy is discarded. Returns { entry, deduplicated }.
+ */
+function storeFile(tmpPath, sha256) {
+  const existing = findStoredFile(sha256);
+  if (existing) {
+    fs.rmSync(tmpPath, { force: true });
+    console.log(`[store] Reusing ${sha256} (${existing.size} bytes)`);
+    return { entry: existing, deduplicated: true };
+  }
 
-// ============================================
-// COLUMN MAPPINGS - PRODUCTION
-// ============================================
-const productionColumnMappings = {
-  wlbr_id: 'wlbr_id',
-  wellbore_id: 'wlbr_id',
-  'id do poço': 'wlbr_id',
-  wlbr_nm: 'wlbr_nm',
-  wellbore_name: 'wlbr_nm',
-  'nome do poço': 'wlbr_nm',
-  'wellbore name': 'wlbr_nm',
-  cmpl_id: 'cmpl_id',
-  completion_id: 'cmpl_id',
-  daytime: 'production_date',
-  date: 'production_date',
-  data: 'production_date',
-  'data produção': 'production_date',
-  oil: 'oil_volume',
-  óleo: 'oil_volume',
-  petroleo: 'oil_volume',
-  petróleo: 'oil_volume',
-  water: 'water_volume',
-  água: 'water_volume',
-  agua: 'water_volume',
-  gas: 'gas_volume',
-  gás: 'gas_volume',
-  glg: 'glg',
-  'gas lift': 'glg',
-  hours: 'hours_produced',
-  horas: 'hours_produced',
-  choke: 'choke_size',
-  bhp: 'bhp',
-  bht: 'bht',
-  whp: 'whp',
-  wht: 'wht',
-  chp: 'chp',
-};
+  const filePath = path.join(STORE_DIR, sha256);
+  fs.renameSync(tmpPath, filePath);
+  const entry = { filePath, size: fs.statSync(filePath).size, refCount: 0, releasedAt: Date.now() };
+  fileStore.set(sha256, entry);
+  console.log(`[store] Stored ${sha256} (${entry.size} bytes)`);
+  return { entry, deduplicated: false };
+}
 
-function normalizeColumnName(name, dataType) {
-  const normalized = String(name).toLowerCase().trim();
-  const mappings = dataType === 'production' ? productionColumnMappings : wellsColumnMappings;
-  return mappings[normalized] || normalized;
+/**
+ * Create a session referencing a stored file
+ */
+function openFileSession(sha256, filename, sessionId = generateSessionId()) {
+  const entry = fileStore.get(sha256);
+  entry.refCount++;
+  entry.releasedAt = null;
+  fileCache.set(sessionId, {
+    filePath: entry.filePath,
+    filename,
+    size: entry.size,
+    sha256,
+    timestamp: Date.now(),
+  });
+  return sessionId;
 }
 
-function normalizeType(val) {
-  if (!val) return '';
-  const normalized = String(val).toLowerCase().trim();
-  if (['petróleo', 'petroleo', 'oil'].includes(normalized)) return 'oil';
-  if (['gás', 'gas'].includes(normalized)) return 'gas';
-  if (['misto', 'mixed'].includes(normalized)) return 'mixed';
-  return String(val);
+/**
+ * Drop a session's reference to its file. Files outside the store (sessions
+ * journaled by older versions) are deleted right away, as before.
+ */
+function releaseSessionFile(sessionId) {
+  const cached = fileCache.get(sessionId);
+  if (!cached) return;
+
+  const entry = cached.sha256 ? fileStore.get(cached.sha256) : null;
+  if (entry) {
+    entry.refCount = Math.max(0, entry.refCount - 1);
+    if (entry.refCount === 0) {
+      // Kept on disk for STORE_RETENTION, but nobody is reading it any more
+      entry.releasedAt = Date.now();
+      dropAccessFile(entry.filePath);
+    }
+  } else if (cached.filePath && fs.existsSync(cached.filePath)) {
+    try {
+      fs.unlinkSync(cached.filePath);
+      dropAccessFile(cached.filePath);
+      console.log(`[cache] Deleted file: ${cached.filePath}`);
+    } catch (e) {
+      console.error(`[cache] Failed to delete file: ${cached.filePath}`, e);
+    }
+  }
+  fileCache.delete(sessionId);
 }
 
-function normalizeStatus(val) {
-  if (!val) return '';
-  const normalized = String(val).toLowerCase().trim();
-  if (['ativo', 'active'].includes(normalized)) return 'active';
-  if (['inativo', 'inactive'].includes(normalized)) return 'inactive';
-  if (['exploratório', 'exploratorio', 'exploratory'].includes(normalized)) return 'exploratory';
-  if (['declínio', 'declining', 'em declínio'].includes(normalized)) return 'declining';
-  return String(val);
+/**
+ * List the tables of a session just opened; when listing fails (corrupt file,
+ * busy or timed-out worker) the session is released so the file is not pinned
+ */
+async function listSessionTables(sessionId, filePath, options) {
+  try {
+    return await runAccessTask('listTables', { filePath }, options);
+  } catch (err) {
+    releaseSessionFile(sessionId);
+    throw err;
+  }
 }
 
-function parseNumber(val) {
-  if (val === null || val === undefined) return null;
-  if (typeof val === 'number') return val;
-  const str = String(val).replace(',', '.').replace(/[^\d.-]/g, '');
-  const num = parseFloat(str);
-  return isNaN(num) ? null : num;
+// ============================================
+// URL DOWNLOAD - Remote Access files streamed to disk
+// /list-tables-from-url only fetches from allowlisted hosts (redirects
+// included), writes the body to disk as it arrives instead of buffering it,
+// and stops at URL_DOWNLOAD_MAX_BYTES. A connection that drops mid-transfer
+// is resumed with a Range request from the bytes already written.
+// ============================================
+const URL_DOWNLOAD_MAX_BYTES = Number(process.env.URL_DOWNLOAD_MAX_BYTES) || 200 * 1024 * 1024; // 200 MB, same as uploads
+const URL_DOWNLOAD_TIMEOUT = Number(process.env.URL_DOWNLOAD_TIMEOUT_MS) || 10 * 60 * 1000; // 10 minutes
+const URL_DOWNLOAD_RETRIES = process.env.URL_DOWNLOAD_RETRIES ? Number(process.env.URL_DOWNLOAD_RETRIES) : 3;
+const URL_DOWNLOAD_MAX_REDIRECTS = 5;
+const URL_DOWNLOAD_ALLOW_HTTP = process.env.URL_DOWNLOAD_ALLOW_HTTP === 'true';
+
+// Exact host names or "*.domain" for any subdomain; "*" allows every host
+const URL_DOWNLOAD_ALLOWED_HOSTS = (process.env.URL_DOWNLOAD_ALLOWED_HOSTS || '*.supabase.co')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+function isAllowedDownloadHost(hostname) {
+  const host = hostname.toLowerCase();
+  return URL_DOWNLOAD_ALLOWED_HOSTS.some((pattern) => {
+    if (pattern === '*') return true;
+    if (pattern.startsWith('*.')) return host.endsWith(pattern.slice(1));
+    return host === pattern;
+  });
 }
 
-function parseDate(val) {
-  if (!val) return null;
+/**
+ * Parse a download URL and check it against the allowed protocols and hosts
+ */
+function assertDownloadUrl(value) {
+  let url;
   try {
-    const date = new Date(val);
-    if (isNaN(date.getTime())) return null;
-    return date.toISOString().split('T')[0];
+    url = new URL(value);
   } catch {
-    return null;
+    throw requestError('download.invalidUrl');
+  }
+  const protocols = URL_DOWNLOAD_ALLOW_HTTP ? ['https:', 'http:'] : ['https:'];
+  if (!protocols.includes(url.protocol)) {
+    throw requestError('download.protocolNotAllowed', { protocol: url.protocol.slice(0, -1) });
   }
+  if (!isAllowedDownloadHost(url.hostname)) {
+    throw requestError('download.hostNotAllowed', { host: url.hostname }, 403);
+  }
+  return url;
 }
 
-// ============================================
-// DETECT DATA TYPE
-// ============================================
-function detectDataType(columns) {
-  const normalized = columns.map(c => c.toLowerCase());
-  const productionIndicators = ['oil', 'gas', 'water', 'daytime', 'wlbr_id', 'cmpl_id', 'bhp', 'whp', 'choke'];
-  const wellIndicators = ['latitude', 'longitude', 'block', 'field', 'province', 'poço', 'poco', 'bloco', 'campo'];
-  
-  const productionMatches = productionIndicators.filter(ind => 
-    normalized.some(col => col.includes(ind))
-  ).length;
-  
-  const wellMatches = wellIndicators.filter(ind => 
-    normalized.some(col => col.includes(ind))
-  ).length;
-  
-  console.log(`[detectDataType] production=${productionMatches}, wells=${wellMatches}`);
-  return productionMatches > wellMatches ? 'production' : 'wells';
+/**
+ * fetch() that follows redirects itself so every hop is checked against the allowlist
+ */
+async function fetchAllowedUrl(url, headers, signal) {
+  for (let hop = 0; hop <= URL_DOWNLOAD_MAX_REDIRECTS; hop++) {
+    const response = await fetch(url, { headers, signal, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+    await response.body?.cancel();
+    url = assertDownloadUrl(new URL(location, url).href);
+  }
+  throw requestError('download.tooManyRedirects', { limit: URL_DOWNLOAD_MAX_REDIRECTS }, 502);
 }
 
-// ============================================
-// PARSE WELLS ROW
-// ============================================
-function parseWellsRow(row, columns, rowIndex) {
-  const original = {};
-  const mapped = {};
-
-  columns.forEach((col) => {
-    const normalizedCol = normalizeColumnName(col, 'wells');
-    original[col] = row[col];
-    mapped[normalizedCol] = row[col];
-  });
+/**
+ * Total size announced by a response: Content-Range total for 206, else
+ * Content-Length (unless the body is re-encoded), else null
+ */
+function announcedDownloadSize(response) {
+  if (response.status === 206) {
+    const match = /\/(\d+)$/.exec(response.headers.get('content-range') || '');
+    return match ? Number(match[1]) : null;
+  }
+  if (response.headers.get('content-encoding')) return null;
+  const length = response.headers.get('content-length');
+  return length === null ? null : Number(length);
+}
 
-  const errors = [];
-
-  if (!mapped.name) errors.push('Nome do poço é obrigatório');
-  if (!mapped.block) errors.push('Bloco é obrigatório');
-  if (!mapped.field) errors.push('Campo é obrigatório');
-  if (!mapped.province) errors.push('Província é obrigatória');
-
-  const latitude = parseNumber(mapped.latitude);
-  const longitude = parseNumber(mapped.longitude);
-  const depth = parseNumber(mapped.depth);
-
-  if (latitude === null || latitude < -90 || latitude > 90) errors.push('Latitude inválida');
-  if (longitude === null || longitude < -180 || longitude > 180) errors.push('Longitude inválida');
-  if (depth === null || depth < 0) errors.push('Profundidade inválida');
-
-  const type = normalizeType(mapped.type);
-  if (!['oil', 'gas', 'mixed'].includes(type)) errors.push('Tipo deve ser: petróleo, gás ou misto');
-
-  const status = normalizeStatus(mapped.status);
-  if (!['active', 'inactive', 'exploratory', 'declining'].includes(status)) {
-    errors.push('Status deve ser: ativo, inativo, exploratório ou declínio');
-  }
-
-  if (errors.length === 0) {
-    return {
-      row: rowIndex + 1,
-      data: {
-        name: String(mapped.name),
-        block: String(mapped.block),
-        field: String(mapped.field),
-        province: String(mapped.province),
-        latitude,
-        longitude,
-        depth,
-        type,
-        estimated_reserves: parseNumber(mapped.estimated_reserves) || 0,
-        daily_production: parseNumber(mapped.daily_production) || 0,
-        production_start_date: parseDate(mapped.production_start_date),
-        status,
-        decline_rate: parseNumber(mapped.decline_rate) || 0,
-      },
-      errors: [],
-      original,
-    };
-  } else {
-    return { row: rowIndex + 1, data: null, errors, original };
+/**
+ * Stream url into destPath, hashing on the way: { size, sha256, resumes }.
+ * Errors without an errorCode (dropped connections, short bodies) are retried
+ * up to URL_DOWNLOAD_RETRIES times, resuming from the bytes already on disk.
+ */
+async function downloadToFile(url, destPath) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, URL_DOWNLOAD_TIMEOUT);
+
+  const handle = await fs.promises.open(destPath, 'w');
+  let hash = crypto.createHash('sha256');
+  let size = 0;
+  let expected = null;
+  let validator = null; // strong ETag or Last-Modified, sent as If-Range when resuming
+  let resumes = 0;
+
+  const tooLarge = () => requestError('download.tooLarge', { limit: URL_DOWNLOAD_MAX_BYTES }, 413);
+
+  const readResponse = async () => {
+    const headers = {};
+    if (size > 0) {
+      headers.Range = `bytes=${size}-`;
+      if (validator) headers['If-Range'] = validator;
+    }
+    const response = await fetchAllowedUrl(url, headers, controller.signal);
+
+    // Everything was already received before the connection dropped
+    if (size > 0 && response.status === 416 && size === expected) {
+      await response.body?.cancel();
+      return;
+    }
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw requestError('file.downloadFailed', { status: response.status });
+    }
+
+    if (response.status === 206) {
+      const start = Number(/bytes (\d+)-/.exec(response.headers.get('content-range') || '')?.[1]);
+      if (start !== size) throw requestError('download.resumeFailed', {}, 502);
+    } else if (size > 0) {
+      // The server ignored the range (or the file changed): start over
+      console.warn(`[download] Range not honoured, restarting from 0 (had ${size} bytes)`);
+      await handle.truncate(0);
+      hash = crypto.createHash('sha256');
+      size = 0;
+    }
+
+    expected = announcedDownloadSize(response) ?? expected;
+    if (expected !== null && expected > URL_DOWNLOAD_MAX_BYTES) throw tooLarge();
+    const etag = response.headers.get('etag');
+    validator = etag && !etag.startsWith('W/') ? etag : response.headers.get('last-modified') || validator;
+
+    if (response.body) {
+      for await (const chunk of response.body) {
+        if (size + chunk.length > URL_DOWNLOAD_MAX_BYTES) throw tooLarge();
+        await handle.write(chunk, 0, chunk.length, size);
+        hash.update(chunk);
+        size += chunk.length;
+      }
+    }
+
+    if (expected !== null && size < expected) {
+      throw new Error(`Connection closed after ${size} of ${expected} bytes`);
+    }
+    if (expected !== null && size > expected) {
+      throw requestError('download.sizeMismatch', { expected, actual: size }, 502);
+    }
+  };
+
+  try {
+    for (;;) {
+      try {
+        await readResponse();
+        break;
+      } catch (err) {
+        if (timedOut) throw requestError('download.timeout', { seconds: Math.ceil(URL_DOWNLOAD_TIMEOUT / 1000) }, 504);
+        if (err.errorCode || resumes >= URL_DOWNLOAD_RETRIES) throw err;
+        resumes++;
+        console.warn(`[download] ${err.message}; resuming at ${size} bytes (${resumes}/${URL_DOWNLOAD_RETRIES})`);
+      }
+    }
+  } catch (err) {
+    await handle.close();
+    await fs.promises.rm(destPath, { force: true });
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    controller.abort();
   }
+  await handle.close();
+  return { size, sha256: hash.digest('hex'), resumes };
 }
 
 // ============================================
-// PARSE PRODUCTION ROW
+// I18N - Request locale and localized error responses
+// Message catalogs and translate() live in parsing.js
 // ============================================
-function parseProductionRow(row, columns, rowIndex) {
-  const original = {};
-  const mapped = {};
-
-  columns.forEach((col) => {
-    const normalizedCol = normalizeColumnName(col, 'production');
-    original[col] = row[col];
-    mapped[normalizedCol] = row[col];
-  });
-
-  const errors = [];
-
-  const wlbrId = mapped.wlbr_id;
-  if (!wlbrId) errors.push('Wellbore ID é obrigatório');
-
-  const productionDate = parseDate(mapped.production_date);
-  if (!productionDate) errors.push('Data de produção é obrigatória');
-
-  if (errors.length === 0) {
-    return {
-      row: rowIndex + 1,
-      data: {
-        wlbr_id: String(wlbrId),
-        wlbr_nm: mapped.wlbr_nm ? String(mapped.wlbr_nm) : null,
-        cmpl_id: mapped.cmpl_id ? String(mapped.cmpl_id) : null,
-        production_date: productionDate,
-        oil_volume: parseNumber(mapped.oil_volume) || 0,
-        water_volume: parseNumber(mapped.water_volume) || 0,
-        gas_volume: parseNumber(mapped.gas_volume) || 0,
-        glg: parseNumber(mapped.glg) || 0,
-        hours_produced: parseNumber(mapped.hours_produced) || 0,
-        choke_size: parseNumber(mapped.choke_size) || 0,
-        bhp: parseNumber(mapped.bhp) || 0,
-        bht: parseNumber(mapped.bht) || 0,
-        whp: parseNumber(mapped.whp) || 0,
-        wht: parseNumber(mapped.wht) || 0,
-        chp: parseNumber(mapped.chp) || 0,
-      },
-      errors: [],
-      original,
-    };
-  } else {
-    return { row: rowIndex + 1, data: null, errors, original };
+/**
+ * Locale for a request: `locale` body/query parameter, then Accept-Language.
+ * Unsupported values fall through to the next source.
+ */
+function resolveLocale(req) {
+  const requested = req.body?.locale || req.query?.locale;
+  const candidates = requested
+    ? [String(requested)]
+    : String(req.get('accept-language') || '').split(',').map((part) => part.split(';')[0].trim());
+
+  for (const candidate of candidates) {
+    const exact = SUPPORTED_LOCALES.find((locale) => locale.toLowerCase() === candidate.toLowerCase());
+    if (exact) return exact;
+    const language = candidate.split('-')[0].toLowerCase();
+    if (DEFAULT_LOCALE.toLowerCase().startsWith(`${language}-`)) return DEFAULT_LOCALE;
+    const sameLanguage = SUPPORTED_LOCALES.find((locale) => locale.split('-')[0] === language);
+    if (sameLanguage) return sameLanguage;
   }
+  return DEFAULT_LOCALE;
 }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    activeSessions: fileCache.size,
-    activeChunkUploads: chunkSessions.size,
-    chunkSizeBytes: CHUNK_SIZE,
+/**
+ * Send a localized error response: { success: false, code, error }
+ */
+function sendError(req, res, statusCode, code, params, extra = {}) {
+  return res.status(statusCode).json({ success: false, code, error: translate(resolveLocale(req), code, params), ...extra });
+}
+
+/**
+ * Error response for a route's catch block. Errors from requestError() are
+ * localized; unexpected errors keep their own message under the fallback code.
+ */
+function sendRouteError(req, res, err, fallbackCode) {
+  if (err.errorCode) {
+    return sendError(req, res, err.statusCode || 400, err.errorCode, err.params, err.details);
+  }
+  return res.status(err.statusCode || 500).json({
+    success: false,
+    code: fallbackCode,
+    error: err.message || translate(resolveLocale(req), fallbackCode),
   });
-});
+}
 
 // ============================================
-// CHUNKED UPLOAD - INIT / CHUNK / COMPLETE
+// WORKER POOL - MDBReader work on worker threads (access-worker.js)
+// Workers own the opened readers: table listing, row pages and row validation
+// all run there, so a large getData() never blocks the event loop (or /health).
+// Every task for a file goes to the worker that already holds it; otherwise
+// the least loaded worker takes it. Each worker runs one task at a time from
+// its own queue. A task that exceeds ACCESS_TASK_TIMEOUT terminates its
+// worker, and a worker that dies is replaced on the next task.
 // ============================================
-app.post('/upload-init', (req, res) => {
-  try {
-    const { filename, size, totalChunks } = req.body || {};
-
-    if (!filename || typeof filename !== 'string') {
-      return res.status(400).json({ success: false, error: 'Nome do arquivo inválido' });
+const ACCESS_WORKERS = Number(process.env.ACCESS_WORKERS) || Math.max(1, Math.min(4, os.cpus().length - 1));
+const ACCESS_WORKER_FILE = path.join(__dirname, 'access-worker.js');
+const ACCESS_TASK_TIMEOUT = Number(process.env.ACCESS_TASK_TIMEOUT_MS) || 2 * 60 * 1000; // 2 minutes
+const ACCESS_QUEUE_LIMIT = Number(process.env.ACCESS_QUEUE_LIMIT) || 50;
+
+// Each reader holds the whole file in memory. Every worker may use the whole
+// budget (a file is cached only on the worker it is routed to), and the pool
+// trims the other workers when their sum goes over it
+const READER_CACHE_MAX_BYTES = Number(process.env.READER_CACHE_MAX_BYTES) || 300 * 1024 * 1024; // 300 MB
+const READER_IDLE_TIMEOUT = Number(process.env.READER_IDLE_TIMEOUT_MS) || 15 * 60 * 1000; // 15 minutes
+
+// Fixed slots; a slot's worker is started on its first task
+const workerPool = Array.from({ length: ACCESS_WORKERS }, (_, index) => ({
+  index,
+  worker: null,
+  task: null, // { id, type, payload, resolve, reject, timer }
+  queue: [],
+  files: new Set(), // file paths routed to this worker (kept across worker restarts)
+  cache: null, // reader cache stats from the worker's last reply
+  trimBytes: null, // target of a queued or running trimReaders task
+}));
+const workerStats = { completed: 0, failed: 0, timedOut: 0, rejected: 0 };
+let workerTaskSeq = 0;
+
+function startAccessWorker(slot) {
+  const worker = new Worker(ACCESS_WORKER_FILE, {
+    workerData: {
+      readerCacheMaxBytes: READER_CACHE_MAX_BYTES,
+      readerIdleTimeout: READER_IDLE_TIMEOUT,
+    },
+  });
+  slot.worker = worker;
+
+  worker.on('message', ({ id, result, error, cache }) => {
+    const { task } = slot;
+    if (slot.worker !== worker || !task || task.id !== id) return;
+    clearTimeout(task.timer);
+    slot.task = null;
+    slot.cache = cache;
+    enforceReaderBudget(slot);
+    if (error) {
+      workerStats.failed++;
+      task.reject(Object.assign(new Error(error.message), error.errorCode ? error : {}));
+    } else {
+      workerStats.completed++;
+      task.resolve(result);
     }
+    runNextAccessTask(slot);
+  });
 
-    const uploadId = generateUploadId();
-    const dirPath = getChunkDir(uploadId);
-    ensureDir(dirPath);
+  worker.on('error', (err) => {
+    if (slot.worker !== worker) return;
+    console.error(`[workers] Worker ${slot.index} error:`, err);
+    if (slot.task) workerStats.failed++;
+    resetAccessWorker(slot, err);
+  });
+  worker.on('exit', (code) => {
+    if (slot.worker !== worker) return;
+    console.warn(`[workers] Worker ${slot.index} exited with code ${code}`);
+    if (slot.task) workerStats.failed++;
+    resetAccessWorker(slot, new Error(`Worker exited with code ${code}`));
+  });
+}
 
-    chunkSessions.set(uploadId, {
-      dirPath,
-      filename: sanitizeFilename(filename),
-      totalChunks: Number(totalChunks) || null,
-      size: Number(size) || null,
-      createdAt: Date.now(),
-    });
+/**
+ * Keep the readers cached over all workers under READER_CACHE_MAX_BYTES: when a
+ * reply from `slot` puts the sum over it, the other workers drop their least
+ * recently used readers, largest cache first
+ */
+function enforceReaderBudget(slot) {
+  const cachedBytes = (candidate) => candidate.trimBytes ?? (candidate.cache ? candidate.cache.bytes : 0);
+  let excess = workerPool.reduce((sum, candidate) => sum + cachedBytes(candidate), 0) - READER_CACHE_MAX_BYTES;
+  const others = workerPool
+    .filter((candidate) => candidate !== slot && candidate.worker && candidate.trimBytes === null && cachedBytes(candidate) > 0)
+    .sort((a, b) => cachedBytes(b) - cachedBytes(a));
+
+  for (const other of others) {
+    if (excess <= 0) break;
+    const maxBytes = Math.max(0, cachedBytes(other) - excess);
+    excess -= cachedBytes(other) - maxBytes;
+    other.trimBytes = maxBytes;
+    enqueueAccessTask(other, 'trimReaders', { maxBytes })
+      .catch((err) => console.warn(`[workers] Failed to trim readers of worker ${other.index}:`, err.message))
+      .finally(() => {
+        other.trimBytes = null;
+      });
+  }
+}
 
-    console.log(`[upload-init] uploadId=${uploadId}, file=${filename}, size=${size}, totalChunks=${totalChunks}`);
-    res.json({ success: true, uploadId, chunkSize: CHUNK_SIZE });
-  } catch (err) {
-    console.error('[upload-init] Error:', err);
-    res.status(500).json({ success: false, error: err.message || 'Erro ao iniciar upload' });
+/**
+ * Forget a slot's worker (and the readers it held), fail its running task
+ * and carry on with the queue on a fresh worker. Files stay routed to the
+ * slot, so no other worker opens a second reader for them.
+ */
+function resetAccessWorker(slot, err) {
+  const { task } = slot;
+  slot.worker = null;
+  slot.task = null;
+  slot.cache = null;
+  if (task) {
+    clearTimeout(task.timer);
+    task.reject(err);
   }
-});
+  runNextAccessTask(slot);
+}
 
-app.get('/upload-status', (req, res) => {
-  try {
-    const uploadId = String(req.query?.uploadId || '').trim();
-    if (!uploadId) {
-      return res.status(400).json({ success: false, error: 'uploadId não fornecido' });
-    }
+function runNextAccessTask(slot) {
+  if (slot.task || slot.queue.length === 0) return;
+  if (!slot.worker) startAccessWorker(slot);
+
+  const task = slot.queue.shift();
+  slot.task = task;
+  task.timer = setTimeout(() => {
+    const { worker } = slot;
+    workerStats.timedOut++;
+    console.warn(`[workers] Task ${task.type} timed out on worker ${slot.index}, restarting it`);
+    resetAccessWorker(slot, requestError('worker.timeout', { seconds: Math.ceil(ACCESS_TASK_TIMEOUT / 1000) }, 504));
+    worker.terminate();
+  }, ACCESS_TASK_TIMEOUT);
+  slot.worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+}
 
-    if (!chunkSessions.has(uploadId)) {
-      return res.status(404).json({ success: false, error: 'Upload não encontrado ou expirado. Reenvie o arquivo.' });
-    }
+function enqueueAccessTask(slot, type, payload) {
+  return new Promise((resolve, reject) => {
+    slot.queue.push({ id: ++workerTaskSeq, type, payload, resolve, reject, timer: null });
+    runNextAccessTask(slot);
+  });
+}
 
-    const session = chunkSessions.get(uploadId);
-    const dirPath = session?.dirPath;
+/**
+ * Slot for a file: the worker already holding it, else the least loaded one
+ */
+function pickAccessSlot(filePath) {
+  const owner = filePath && workerPool.find((slot) => slot.files.has(filePath));
+  if (owner) return owner;
+  const load = (slot) => slot.queue.length + (slot.task ? 1 : 0);
+  const slot = workerPool.reduce((best, candidate) => (load(candidate) < load(best) ? candidate : best));
+  if (filePath) slot.files.add(filePath);
+  return slot;
+}
 
-    let receivedIndices = [];
-    if (dirPath && fs.existsSync(dirPath)) {
-      const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-      receivedIndices = entries
-        .filter((e) => e.isFile() && e.name.endsWith('.part'))
-        .map((e) => Number(e.name.replace('.part', '')))
-        .filter((n) => Number.isFinite(n))
-        .sort((a, b) => a - b);
-    }
+function countQueuedAccessTasks() {
+  return workerPool.reduce((sum, slot) => sum + slot.queue.length, 0);
+}
 
-    res.json({
-      success: true,
-      uploadId,
-      totalChunks: session?.totalChunks ?? null,
-      received: receivedIndices.length,
-      receivedIndices,
-    });
-  } catch (err) {
-    console.error('[upload-status] Error:', err);
-    res.status(500).json({ success: false, error: err.message || 'Erro ao obter status do upload' });
+/**
+ * Run a task on the worker pool; resolves with the worker's result.
+ * Request-driven tasks are refused with 503 once ACCESS_QUEUE_LIMIT tasks are
+ * waiting; background jobs always queue so they are not lost.
+ */
+function runAccessTask(type, payload, { background = false } = {}) {
+  if (!background && countQueuedAccessTasks() >= ACCESS_QUEUE_LIMIT) {
+    workerStats.rejected++;
+    return Promise.reject(requestError('worker.busy', { limit: ACCESS_QUEUE_LIMIT }, 503));
   }
-});
+  return enqueueAccessTask(pickAccessSlot(payload.filePath), type, payload);
+}
 
-app.post('/upload-chunk', chunkUpload.single('chunk'), (req, res) => {
-  try {
-    const uploadId = req.body?.uploadId;
-    const indexRaw = req.body?.index;
-    const totalChunksRaw = req.body?.totalChunks;
+/**
+ * Release the reader a worker holds for a file (file deleted or unreferenced)
+ */
+function dropAccessFile(filePath) {
+  const slot = workerPool.find((candidate) => candidate.files.has(filePath));
+  if (!slot) return;
+  slot.files.delete(filePath);
+  if (!slot.worker) return;
+  enqueueAccessTask(slot, 'dropFile', { filePath }).catch((err) => {
+    console.warn(`[workers] Failed to drop reader for ${filePath}:`, err.message);
+  });
+}
 
-    const index = Number(indexRaw);
-    const totalChunks = Number(totalChunksRaw);
+function describeWorkerPool() {
+  const queued = countQueuedAccessTasks();
+  return {
+    size: ACCESS_WORKERS,
+    running: workerPool.filter((slot) => slot.worker).length,
+    busy: workerPool.filter((slot) => slot.task).length,
+    queued,
+    queueLimit: ACCESS_QUEUE_LIMIT,
+    saturation: Math.round((queued / ACCESS_QUEUE_LIMIT) * 100) / 100,
+    backPressure: queued >= ACCESS_QUEUE_LIMIT,
+    taskTimeoutMs: ACCESS_TASK_TIMEOUT,
+    ...workerStats,
+    pool: workerPool.map((slot) => ({
+      index: slot.index,
+      running: Boolean(slot.worker),
+      task: slot.task ? slot.task.type : null,
+      queued: slot.queue.length,
+      files: slot.files.size,
+    })),
+  };
+}
 
-    if (!uploadId) {
-      return res.status(400).json({ success: false, error: 'uploadId não fornecido' });
-    }
+/**
+ * Reader cache totals over all workers (as of each worker's last reply)
+ */
+function describeReaderCache() {
+  const totals = { entries: 0, bytes: 0, maxBytes: READER_CACHE_MAX_BYTES, hits: 0, misses: 0, evictions: 0 };
+  for (const { cache } of workerPool) {
+    if (!cache) continue;
+    for (const key of ['entries', 'bytes', 'hits', 'misses', 'evictions']) totals[key] += cache[key];
+  }
+  return totals;
+}
 
-    if (!Number.isFinite(index) || index < 0) {
-      return res.status(400).json({ success: false, error: 'index inválido' });
-    }
+// ============================================
+// ROW SOURCE - Paged row access over Access tables
+// Rows are read in bounded pages (getData with rowOffset/rowLimit) on the
+// worker that holds the file, instead of materializing whole tables
+// ============================================
+const ROW_PAGE_SIZE = Number(process.env.ROW_PAGE_SIZE) || 1000;
 
-    if (!Number.isFinite(totalChunks) || totalChunks <= 0) {
-      return res.status(400).json({ success: false, error: 'totalChunks inválido' });
+/**
+ * Open a paged row source over a table.
+ * readPage(offset, limit) resolves to at most `limit` rows; pages() yields { offset, rows }
+ * until the table is exhausted; parsePage(offset, limit, parse) runs the row
+ * parser on the worker and resolves to { count, rows, dateStats }.
+ * Pass { background: true } for job work so it is never refused by back-pressure.
+ */
+async function openRowSource(filePath, tableName, { background = false } = {}) {
+  const run = (type, payload = {}) => runAccessTask(type, { filePath, tableName, ...payload }, { background });
+  const { columns, totalRows } = await run('openTable');
+
+  const readPage = (offset, limit) => run('readPage', { offset, limit });
+  const parsePage = (offset, limit, { dataType, columnMapping, options }) =>
+    run('parsePage', { offset, limit, columns, dataType, columnMapping, options });
+
+  async function* pages(startOffset = 0, pageSize = ROW_PAGE_SIZE) {
+    for (let offset = startOffset; offset < totalRows; offset += pageSize) {
+      const rows = await readPage(offset, pageSize);
+      if (rows.length === 0) break;
+      yield { offset, rows };
     }
+  }
 
-    const session = assertChunkSession(uploadId);
-    session.createdAt = Date.now(); // keep alive
-    if (!session.totalChunks) session.totalChunks = totalChunks;
-
-    if (!req.file || !req.file.buffer) {
-      return res.status(400).json({ success: false, error: 'Chunk não fornecido' });
+  // Pages of a worker task that answers { count, ... }
+  async function* taskPages(type, startOffset, pageSize, payload) {
+    for (let offset = startOffset; offset < totalRows; offset += pageSize) {
+      const page = await run(type, { offset, limit: pageSize, columns, ...payload });
+      if (page.count === 0) break;
+      yield { offset, ...page };
     }
+  }
 
-    const dirPath = session.dirPath;
-    ensureDir(dirPath);
+  // { offset, count, rows (parse results), dateStats }
+  const parsedPages = (startOffset, pageSize, { dataType, columnMapping, options }) =>
+    taskPages('parsePage', startOffset, pageSize, { dataType, columnMapping, options });
 
-    const chunkPath = getChunkPath(uploadId, index);
+  // { offset, count, rows, fingerprints: [{ key, hash }] }
+  const fingerprintedPages = (startOffset, pageSize, keyColumns) =>
+    taskPages('fingerprintPage', startOffset, pageSize, { keyColumns });
 
-    // Idempotent write: if already exists, we accept it.
-    if (!fs.existsSync(chunkPath)) {
-      fs.writeFileSync(chunkPath, req.file.buffer);
-    }
+  return { tableName, columns, totalRows, readPage, parsePage, pages, parsedPages, fingerprintedPages };
+}
 
-    res.json({ success: true });
+/**
+ * Add a page's date interpretation counts ({ field: { interpretation: count } })
+ */
+function mergeDateStats(target, stats) {
+  for (const [field, counts] of Object.entries(stats)) {
+    const merged = (target[field] ||= {});
+    for (const [interpretation, count] of Object.entries(counts)) {
+      merged[interpretation] = (merged[interpretation] || 0) + count;
+    }
+  }
+  return target;
+}
+
+/**
+ * Effective number format for a parse request: request parameter, then the
+ * mapping profile, then detection over the first rows of the table.
+ */
+async function resolveTableNumberFormat(requested, profile, source) {
+  const fromRequest = resolveNumberFormat(requested);
+  if (fromRequest !== 'auto') return { format: fromRequest, source: 'request' };
+  const fromProfile = profile.numberFormat || 'auto';
+  if (fromProfile !== 'auto') return { format: fromProfile, source: 'profile' };
+
+  const { format, signals } = detectNumberFormat(await source.readPage(0, NUMBER_FORMAT_SAMPLE_SIZE), source.columns);
+  return format ? { format, source: 'detected', signals } : { format: 'auto', source: 'undetermined', signals };
+}
+
+// ============================================
+// JOB QUEUE - Persistent background jobs
+// Each job is journaled to uploads/_jobs/<jobId>.json so an interrupted
+// sync can resume from its last committed batch after a restart
+// ============================================
+const JOBS_DIR = path.join(UPLOADS_DIR, '_jobs');
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 1;
+const JOB_RETENTION = 7 * 24 * 60 * 60 * 1000; // keep finished jobs for 7 days
+const JOB_FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+ensureDir(JOBS_DIR);
+
+const jobs = new Map(); // jobId -> job record (mirror of the journal file)
+const jobQueue = []; // jobIds waiting to run, in FIFO order
+const runningJobs = new Set(); // jobIds currently running
+const jobRunners = {}; // job type -> async (job) => void
+const jobCredentials = new Map(); // jobId -> credentials of a request-supplied destination (never journaled)
+
+function generateJobId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function getJobPath(jobId) {
+  return path.join(JOBS_DIR, `${jobId}.json`);
+}
+
+/**
+ * Persist a job to its journal file
+ */
+function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  writeJsonFile(getJobPath(job.id), job);
+}
+
+/**
+ * Move the credentials of a job's request-supplied destination from its params
+ * to jobCredentials, so journals never hold them. Returns whether any were found
+ * (journals written before this carry them on disk, the legacy ones as supabaseKey).
+ */
+function takeJobCredentials(job) {
+  const { destination, supabaseKey, ...params } = job.params;
+  let credentials = null;
+  if (destination) {
+    const split = splitDestinationCredentials(destination);
+    params.destination = split.options;
+    credentials = split.credentials;
+  } else if (supabaseKey) {
+    credentials = { key: supabaseKey };
+  }
+  job.params = params;
+  if (credentials) jobCredentials.set(job.id, credentials);
+  return credentials !== null;
+}
+
+/**
+ * Job as exposed by the API (credentials stripped)
+ */
+function publicJob(job) {
+  const { destination, ...params } = job.params;
+  return { ...job, params: destination ? { ...params, destination: describeDestination(destination) } : params };
+}
+
+function createJob(type, params) {
+  const now = new Date().toISOString();
+  const job = {
+    id: generateJobId(),
+    type,
+    status: 'queued',
+    params,
+    progress: {},
+    attempts: 0,
+    cancelRequested: false,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+  };
+
+  takeJobCredentials(job);
+  jobs.set(job.id, job);
+  saveJob(job);
+  console.log(`[jobs] Created job ${job.id} (${type})`);
+
+  enqueueJob(job);
+  return job;
+}
+
+function enqueueJob(job) {
+  jobQueue.push(job.id);
+  processJobQueue();
+}
+
+function processJobQueue() {
+  while (runningJobs.size < JOB_CONCURRENCY && jobQueue.length > 0) {
+    const job = jobs.get(jobQueue.shift());
+    if (!job || job.status !== 'queued') continue;
+    runJob(job);
+  }
+}
+
+async function runJob(job) {
+  runningJobs.add(job.id);
+  job.status = 'running';
+  job.attempts += 1;
+  job.startedAt = job.startedAt || new Date().toISOString();
+  saveJob(job);
+
+  try {
+    const runner = jobRunners[job.type];
+    if (!runner) {
+      throw new Error(`Tipo de job desconhecido: ${job.type}`);
+    }
+    await runner(job);
+    job.status = 'completed';
+    console.log(`[jobs] Job ${job.id} completed`);
   } catch (err) {
-    console.error('[upload-chunk] Error:', err);
-    const status = err.statusCode || 500;
-    res.status(status).json({ success: false, error: err.message || 'Erro ao receber chunk' });
+    if (err.jobCancelled) {
+      job.status = 'cancelled';
+      console.log(`[jobs] Job ${job.id} cancelled`);
+    } else {
+      job.status = 'failed';
+      // Coded errors follow the locale of the request that started the job
+      job.error = err.errorCode ? translate(job.params.locale, err.errorCode, err.params) : err.message || String(err);
+      console.error(`[jobs] Job ${job.id} failed:`, err);
+    }
+    await discardJobStaging(job).catch((e) => console.error(`[jobs] Failed to discard staged rows of job ${job.id}:`, e.message));
+  } finally {
+    job.finishedAt = new Date().toISOString();
+    saveJob(job);
+    runningJobs.delete(job.id);
+    processJobQueue();
   }
-});
+}
 
-app.post('/upload-complete', async (req, res) => {
+/**
+ * Record progress for a running job and persist it.
+ * Runners call this after each committed batch; the saved progress is what a resume starts from.
+ */
+function checkpointJob(job, progress) {
+  Object.assign(job.progress, progress);
+
+  // Keep the session (and its file on disk) alive while the job uses it
+  const cached = fileCache.get(job.params.sessionId);
+  if (cached) cached.timestamp = Date.now();
+
+  saveJob(job);
+}
+
+function assertJobNotCancelled(job) {
+  if (job.cancelRequested) {
+    const err = new Error('Job cancelado');
+    // @ts-ignore
+    err.jobCancelled = true;
+    throw err;
+  }
+}
+
+function sessionHasActiveJob(sessionId) {
+  for (const job of jobs.values()) {
+    if (job.params.sessionId === sessionId && !JOB_FINAL_STATUSES.includes(job.status)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Load journaled jobs from disk and re-queue the ones that were queued or running
+ * when the process stopped. Their session is restored so the file is still found
+ * (and eventually cleaned up by the expiry sweep).
+ */
+function resumeInterruptedJobs() {
+  const entries = fs.readdirSync(JOBS_DIR).filter((name) => name.endsWith('.json'));
+  const pending = [];
+
+  for (const name of entries) {
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, name), 'utf8'));
+      jobs.set(job.id, job);
+      if (takeJobCredentials(job)) {
+        // Rewrite the journal without them; they now live in memory until the process stops
+        writeJsonFile(getJobPath(job.id), job);
+      }
+      if (!JOB_FINAL_STATUSES.includes(job.status)) pending.push(job);
+    } catch (e) {
+      console.error(`[jobs] Failed to load job journal: ${name}`, e);
+    }
+  }
+
+  pending.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  let resumed = 0;
+  for (const job of pending) {
+    const { sessionId, filePath, filename, sha256 } = job.params;
+
+    if (job.cancelRequested) {
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      saveJob(job);
+      discardJobStaging(job).catch((e) => console.error(`[jobs] Failed to discard staged rows of job ${job.id}:`, e.message));
+      continue;
+    }
+
+    if (!filePath || !fs.existsSync(filePath)) {
+      job.status = 'failed';
+      job.error = translate(job.params.locale, 'job.fileMissing');
+      job.finishedAt = new Date().toISOString();
+      saveJob(job);
+      console.warn(`[jobs] Cannot resume job ${job.id}: file missing (${filePath})`);
+      discardJobStaging(job).catch((e) => console.error(`[jobs] Failed to discard staged rows of job ${job.id}:`, e.message));
+      continue;
+    }
+
+    if (sessionId && !fileCache.has(sessionId)) {
+      if (findStoredFile(sha256)) {
+        openFileSession(sha256, filename, sessionId);
+      } else {
+        fileCache.set(sessionId, { filePath, filename, timestamp: Date.now() });
+      }
+    }
+
+    if (!hasJobCredentials(job)) {
+      job.status = 'failed';
+      job.error = translate(job.params.locale, 'job.credentialsLost');
+      job.finishedAt = new Date().toISOString();
+      saveJob(job);
+      console.warn(`[jobs] Cannot resume job ${job.id}: destination credentials were not kept across the restart`);
+      continue;
+    }
+
+    console.log(`[jobs] Resuming job ${job.id} (${job.type}, was ${job.status})`);
+    job.status = 'queued';
+    job.resumedAt = new Date().toISOString();
+    saveJob(job);
+    enqueueJob(job);
+    resumed++;
+  }
+
+  console.log(`[jobs] Loaded ${jobs.size} jobs, resumed ${resumed}`);
+}
+
+// ============================================
+// MAPPING PROFILES - Named column mappings persisted on disk
+// The schema aliases above are the built-in "default" profile; custom
+// profiles add or override source headers per operator database
+// ============================================
+const MAPPING_PROFILES_FILE = process.env.MAPPING_PROFILES_FILE || path.join(UPLOADS_DIR, '_mapping_profiles.json');
+const DEFAULT_MAPPING_PROFILE_ID = 'default';
+
+const defaultMappingProfile = {
+  id: DEFAULT_MAPPING_PROFILE_ID,
+  name: 'Padrão',
+  description: 'Mapeamentos embutidos no servidor',
+  builtIn: true,
+  inheritDefaults: false,
+  numberFormat: 'auto',
+  dateFormats: null,
+  timezone: null,
+  units: {},
+  coordinateSystem: null,
+  // Derived from the registry so schemas registered later are included
+  get mappings() {
+    return Object.fromEntries(listSchemas().map((schema) => [schema.id, schema.columnMappings]));
+  },
+};
+
+const mappingProfiles = new Map(); // profileId -> custom profile
+
+function loadMappingProfiles() {
+  if (!fs.existsSync(MAPPING_PROFILES_FILE)) return;
   try {
-    const { uploadId } = req.body || {};
-    const session = assertChunkSession(uploadId);
+    const stored = JSON.parse(fs.readFileSync(MAPPING_PROFILES_FILE, 'utf8'));
+    for (const profile of stored) {
+      mappingProfiles.set(profile.id, profile);
+    }
+    console.log(`[mapping-profiles] Loaded ${mappingProfiles.size} profiles`);
+  } catch (e) {
+    console.error(`[mapping-profiles] Failed to load ${MAPPING_PROFILES_FILE}:`, e);
+  }
+}
 
-    const totalChunks = Number(session.totalChunks);
-    if (!Number.isFinite(totalChunks) || totalChunks <= 0) {
-      return res.status(400).json({ success: false, error: 'totalChunks ausente/ inválido' });
+function saveMappingProfiles() {
+  writeJsonFile(MAPPING_PROFILES_FILE, [...mappingProfiles.values()]);
+}
+
+loadMappingProfiles();
+
+/**
+ * Validate and normalize the mappings of a profile body.
+ * Source headers are stored lowercased/trimmed (as normalizeColumnName looks them up)
+ * and targets must be known fields of the data type.
+ */
+function normalizeProfileMappings(input) {
+  const mappings = {};
+  for (const schema of listSchemas()) {
+    const dataType = schema.id;
+    const section = input?.[dataType] || {};
+    if (typeof section !== 'object' || Array.isArray(section)) {
+      throw requestError('profile.invalidSection', { dataType });
     }
 
-    const sessionId = generateSessionId();
-    const finalFilename = `${uploadId}-${session.filename}`;
-    const finalPath = path.join(UPLOADS_DIR, finalFilename);
+    mappings[dataType] = {};
+    for (const [source, target] of Object.entries(section)) {
+      if (!schema.fieldNames.includes(target)) {
+        throw requestError('profile.invalidTarget', { dataType, target });
+      }
+      mappings[dataType][String(source).toLowerCase().trim()] = target;
+    }
+  }
+  return mappings;
+}
+
+function buildMappingProfile(id, body, existing) {
+  const now = new Date().toISOString();
+  return {
+    id,
+    name: String(body.name || existing?.name || id),
+    description: body.description !== undefined ? String(body.description) : existing?.description || '',
+    builtIn: false,
+    inheritDefaults: body.inheritDefaults !== undefined ? Boolean(body.inheritDefaults) : existing?.inheritDefaults ?? true,
+    numberFormat: body.numberFormat !== undefined ? resolveNumberFormat(body.numberFormat) : existing?.numberFormat || 'auto',
+    dateFormats: body.dateFormats !== undefined ? resolveDateFormats(body.dateFormats) : existing?.dateFormats ?? null,
+    timezone: body.timezone !== undefined ? resolveTimezone(body.timezone) : existing?.timezone ?? null,
+    units: body.units !== undefined ? normalizeProfileUnits(body.units) : existing?.units || {},
+    coordinateSystem: body.coordinateSystem !== undefined ? resolveCoordinateSystem(body.coordinateSystem) : existing?.coordinateSystem ?? null,
+    mappings: body.mappings !== undefined ? normalizeProfileMappings(body.mappings) : existing?.mappings || normalizeProfileMappings({}),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Resolve a mappingProfile request parameter (defaults to the built-in profile)
+ */
+function resolveMappingProfile(profileId) {
+  if (!profileId || profileId === DEFAULT_MAPPING_PROFILE_ID) return defaultMappingProfile;
+  const profile = mappingProfiles.get(String(profileId));
+  if (!profile) {
+    throw requestError('profile.notFound', { id: profileId }, 404);
+  }
+  return profile;
+}
 
-    console.log(`[upload-complete] Assembling uploadId=${uploadId} into ${finalPath}`);
+/**
+ * Effective source -> target map for a data type.
+ * Profiles with inheritDefaults layer their entries over the built-in map.
+ */
+function getProfileMappings(profile, dataType) {
+  const own = profile.mappings[dataType] || {};
+  if (!profile.inheritDefaults) return own;
+  return { ...defaultMappingProfile.mappings[dataType], ...own };
+}
 
-    assembleChunksSync(uploadId, totalChunks, finalPath);
+/**
+ * Parse a columnMap request parameter (object, or JSON string from multipart bodies)
+ */
+function parseColumnMapParam(value) {
+  if (value === undefined || value === null || value === '') return null;
 
-    // Clean up chunks directory
+  let columnMap = value;
+  if (typeof value === 'string') {
     try {
-      fs.rmSync(session.dirPath, { recursive: true, force: true });
-    } catch (e) {
-      console.warn('[upload-complete] Failed to delete chunks dir:', e);
+      columnMap = JSON.parse(value);
+    } catch {
+      throw requestError('params.invalidColumnMap');
     }
-    chunkSessions.delete(uploadId);
+  }
 
-    // Cache file path for later parsing
-    fileCache.set(sessionId, {
-      filePath: finalPath,
-      filename: session.filename,
-      timestamp: Date.now(),
-    });
+  if (columnMap === null || typeof columnMap !== 'object' || Array.isArray(columnMap)) {
+    throw requestError('params.invalidColumnMap');
+  }
+  return columnMap;
+}
 
-    console.log(`[upload-complete] Created session: ${sessionId}`);
+/**
+ * Resolve the source column -> target field mapping for a table.
+ * Explicit columnMap entries win over the profile mappings; a null/empty target
+ * in columnMap leaves that column unmapped.
+ */
+function resolveColumnMapping(columns, dataType, mappings, columnMap) {
+  const schema = getSchema(dataType);
+  const targetFields = schema.fieldNames;
+  const overrides = {};
+
+  if (columnMap) {
+    for (const [source, target] of Object.entries(columnMap)) {
+      const column = columns.find((c) => c === source)
+        || columns.find((c) => c.toLowerCase().trim() === String(source).toLowerCase().trim());
+      if (!column) {
+        throw requestError('params.columnMapUnknownColumn', { column: source });
+      }
+      if (target && !targetFields.includes(target)) {
+        throw requestError('params.columnMapInvalidTarget', { dataType, target });
+      }
+      overrides[column] = target || null;
+    }
+  }
 
-    // Parse tables (like /list-tables)
-    const buffer = readFileBuffer(finalPath);
-    const reader = new MDBReader(buffer);
-    const tableNames = reader.getTableNames();
+  const effective = {};
+  const unmappedColumns = [];
 
-    const tables = tableNames.map((name) => {
-      try {
-        const table = reader.getTable(name);
-        const columns = table.getColumnNames();
-        const rowCount = typeof table.rowCount === 'number' ? table.rowCount : 0;
-        return { name, rowCount, columns };
-      } catch (err) {
-        console.error(`Error reading table ${name}:`, err);
-        return { name, rowCount: 0, columns: [] };
+  for (const column of columns) {
+    const target = column in overrides ? overrides[column] : normalizeColumnName(column, dataType, mappings);
+    if (target && targetFields.includes(target)) {
+      effective[column] = target;
+    } else {
+      unmappedColumns.push(column);
+    }
+  }
+
+  const mappedTargets = new Set(Object.values(effective));
+  const missingRequiredFields = schema.requiredFields.filter((field) => !mappedTargets.has(field));
+
+  return {
+    effective,
+    unmappedColumns,
+    missingRequiredFields,
+    overrides: Object.keys(overrides),
+  };
+}
+
+// ============================================
+// MAPPING SUGGESTIONS - Fuzzy header matching + sample value inspection
+// ============================================
+
+const SUGGESTION_MIN_CONFIDENCE = 0.5;
+
+function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+function stringSimilarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (a.length >= 3 && b.length >= 3 && (a.startsWith(b) || b.startsWith(a))) return 0.8;
+  const sim = stringSimilarity(a, b);
+  return sim >= 0.75 ? sim : 0;
+}
+
+/**
+ * Soft Dice coefficient over tokens, or whole-string similarity if that is higher
+ * (and close enough to count)
+ */
+function headerSimilarity(tokensA, tokensB) {
+  if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+  const bestMatches = (from, to) => from.reduce(
+    (sum, t) => sum + Math.max(...to.map((u) => tokenSimilarity(t, u))),
+    0
+  );
+  const dice = (bestMatches(tokensA, tokensB) + bestMatches(tokensB, tokensA)) / (tokensA.length + tokensB.length);
+  const whole = stringSimilarity(tokensA.join(''), tokensB.join(''));
+
+  return Math.max(dice, whole >= 0.75 ? whole : 0);
+}
+
+/**
+ * Aliases per target field: field name, schema aliases and mapping keys (built-in or profile)
+ */
+function buildFieldAliases(dataType, mappings) {
+  const schema = getSchema(dataType);
+  const aliases = {};
+  for (const field of schema.fieldNames) {
+    aliases[field] = [field.replace(/_/g, ' '), ...(schema.fields[field].aliases || [])];
+  }
+  for (const [source, target] of Object.entries(mappings)) {
+    if (aliases[target]) aliases[target].push(source);
+  }
+  for (const field of Object.keys(aliases)) {
+    aliases[field] = aliases[field].map((alias) => tokenizeHeader(alias).tokens);
+  }
+  return aliases;
+}
+
+function looksLikeDateString(str) {
+  return /^\d{4}-\d{1,2}-\d{1,2}/.test(str) || /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/.test(str);
+}
+
+/**
+ * Summarize sample values of a column: share of dates/numbers/text and numeric range
+ */
+function profileColumnValues(values) {
+  const present = values.filter((v) => v !== null && v !== undefined && String(v).trim() !== '');
+  const numbers = [];
+  let dates = 0;
+  let texts = 0;
+
+  for (const value of present) {
+    if (value instanceof Date) {
+      dates++;
+    } else if (typeof value === 'number') {
+      numbers.push(value);
+    } else if (typeof value === 'string' && looksLikeDateString(value.trim())) {
+      dates++;
+    } else if (typeof value === 'string' && /^[-+]?[\d\s.,]+$/.test(value.trim())) {
+      const num = parseNumber(value);
+      if (num !== null) numbers.push(num);
+      else texts++;
+    } else {
+      texts++;
+    }
+  }
+
+  const count = present.length;
+  return {
+    count,
+    dateRatio: count ? dates / count : 0,
+    numericRatio: count ? numbers.length / count : 0,
+    textRatio: count ? texts / count : 0,
+    min: numbers.length ? Math.min(...numbers) : null,
+    max: numbers.length ? Math.max(...numbers) : null,
+    numbers,
+  };
+}
+
+function ratioInRange(numbers, min, max) {
+  if (numbers.length === 0) return 0;
+  return numbers.filter((n) => n >= min && n <= max).length / numbers.length;
+}
+
+/**
+ * How well sample values fit the kind of a target field (0..1), with a short reason.
+ * Returns null when there are no sample values to judge by.
+ */
+function scoreValuesForKind(profile, kind) {
+  if (profile.count === 0) return null;
+  const { numbers, numericRatio, dateRatio, textRatio } = profile;
+
+  switch (kind) {
+    case 'date':
+      return { score: dateRatio, reason: `${Math.round(dateRatio * 100)}% datas` };
+    case 'latitude': {
+      // Angola: roughly 4°S to 19°S
+      const valid = ratioInRange(numbers, -90, 90);
+      const angola = ratioInRange(numbers, -19, -4);
+      return { score: numericRatio * (0.6 * valid + 0.4 * angola), reason: `${Math.round(angola * 100)}% no intervalo de latitude de Angola` };
+    }
+    case 'longitude': {
+      // Angola (incl. offshore blocks): roughly 8°E to 25°E
+      const valid = ratioInRange(numbers, -180, 180);
+      const angola = ratioInRange(numbers, 8, 25);
+      return { score: numericRatio * (0.6 * valid + 0.4 * angola), reason: `${Math.round(angola * 100)}% no intervalo de longitude de Angola` };
+    }
+    case 'easting':
+      // UTM zones 32S/33S
+      return { score: numericRatio * ratioInRange(numbers, 100000, 900000), reason: 'valores de este UTM' };
+    case 'northing':
+      // Angola lies between roughly 7 900 000 and 9 600 000 m north (southern false northing)
+      return { score: numericRatio * ratioInRange(numbers, 7900000, 9600000), reason: 'valores de norte UTM' };
+    case 'percent':
+      return { score: numericRatio * ratioInRange(numbers, 0, 100), reason: 'valores entre 0 e 100' };
+    case 'hours':
+      return { score: numericRatio * ratioInRange(numbers, 0, 24), reason: 'valores entre 0 e 24' };
+    case 'number':
+      return { score: numericRatio, reason: `${Math.round(numericRatio * 100)}% numéricos` };
+    case 'id':
+      return { score: 1 - dateRatio, reason: 'identificador' };
+    default:
+      return { score: textRatio, reason: `${Math.round(textRatio * 100)}% texto` };
+  }
+}
+
+/**
+ * Rank target fields of one data type for a column.
+ * Confidence blends header similarity (70%) with sample-value fit (30%).
+ */
+function rankFieldsForColumn(header, valueProfile, dataType, aliases) {
+  const { tokens } = tokenizeHeader(header);
+  const schema = getSchema(dataType);
+
+  return schema.fieldNames
+    .map((field) => {
+      const nameScore = Math.max(...aliases[field].map((aliasTokens) => headerSimilarity(tokens, aliasTokens)));
+      const values = scoreValuesForKind(valueProfile, schema.fields[field].type);
+      const confidence = values === null ? nameScore * 0.9 : nameScore * 0.7 + values.score * 0.3;
+      const reasons = [`nome ${Math.round(nameScore * 100)}%`];
+      if (values) reasons.push(values.reason);
+      return { dataType, field, confidence: Math.round(confidence * 100) / 100, reasons };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Build a columnMap for a data type from each column's best candidate, highest
+ * confidence first, so each target field is used at most once
+ */
+function pickSuggestedColumnMap(suggestions, dataType) {
+  const candidates = suggestions
+    .map((s) => ({ column: s.column, ...s.ranked[dataType][0] }))
+    .filter((c) => c.confidence >= SUGGESTION_MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence);
+
+  const columnMap = {};
+  const usedFields = new Set();
+  for (const c of candidates) {
+    if (c.column in columnMap || usedFields.has(c.field)) continue;
+    columnMap[c.column] = c.field;
+    usedFields.add(c.field);
+  }
+  return columnMap;
+}
+
+// ============================================
+// DETECT DATA TYPE
+// ============================================
+/**
+ * Score a column list against every registered schema.
+ * Columns that map to a target field (through the profile mappings) count with the
+ * field's weight, other columns only through whole-token indicators, so `gas_lift`
+ * is read as gas lift (production) instead of matching "gas" inside any header.
+ * Ties go to the schema registered first (wells), as before.
+ */
+function detectDataType(columns, profile = defaultMappingProfile) {
+  const scores = {};
+
+  for (const schema of listSchemas()) {
+    const mappings = getProfileMappings(profile, schema.id);
+    const matchedFields = new Set();
+    const matched = [];
+
+    for (const column of columns) {
+      const { tokens } = tokenizeHeader(column);
+      // Own keys only: headers like "constructor" must not reach Object.prototype
+      const field = [String(column).toLowerCase().trim(), tokens.join(' '), tokens.join('_')]
+        .map((key) => (Object.hasOwn(mappings, key) ? mappings[key] : null) || (schema.fieldNames.includes(key) ? key : null))
+        .find((candidate) => candidate && Object.hasOwn(schema.fields, candidate));
+
+      if (field) {
+        if (matchedFields.has(field)) continue;
+        matchedFields.add(field);
+        matched.push({ column, field, weight: schema.fields[field].weight ?? 1 });
+        continue;
+      }
+
+      const indicator = schema.indicators.find((ind) => tokens.includes(ind));
+      if (indicator) {
+        matched.push({ column, indicator, weight: 0.5 });
       }
+    }
+
+    const score = matched.reduce((sum, m) => sum + m.weight, 0);
+    scores[schema.id] = { score, matched };
+  }
+
+  const ranked = Object.keys(scores).sort((a, b) => scores[b].score - scores[a].score);
+  const dataType = ranked[0];
+  // Share of the winner against the runner-up
+  const total = scores[dataType].score + (ranked[1] ? scores[ranked[1]].score : 0);
+  const confidence = total > 0 ? Math.round((scores[dataType].score / total) * 100) / 100 : 0;
+
+  console.log(`[detectDataType] ${ranked.map((id) => `${id}=${scores[id].score}`).join(', ')}`);
+  return { dataType, confidence, scores };
+}
+
+/**
+ * Resolve the dataType request parameter: an explicit value wins over detection.
+ * Detection still runs so the response can explain how the table looks.
+ */
+function resolveDataType(requested, columns, profile) {
+  const detection = detectDataType(columns, profile);
+
+  if (requested === undefined || requested === null || requested === '' || requested === 'auto') {
+    return { dataType: detection.dataType, source: 'detected', detection };
+  }
+  const dataTypes = [...schemaRegistry.keys(), 'raw'];
+  if (!dataTypes.includes(requested)) {
+    throw requestError('params.invalidDataType', { value: requested, allowed: dataTypes.join(', ') });
+  }
+  return { dataType: requested, source: 'request', detection };
+}
+
+// ============================================
+// PARSE PLAN - How a table is parsed for a request
+// Shared by the parse routes and the typed sync jobs
+// ============================================
+// Request parameters that shape a parse (kept in sync job params)
+const PARSE_PARAMS = [
+  'dataType', 'mappingProfile', 'columnMap', 'columnUnits', 'ruleSet', 'numberFormat',
+  'dateFormats', 'timezone', 'coordinateSystem', 'geoValidation',
+];
+
+/**
+ * Resolve data type, column mapping, units, number/date formats, coordinate
+ * system and geo validation of a table from the request parameters.
+ * `parse` is the argument of source.parsePage / source.parsedPages.
+ */
+async function resolveParsePlan(params, source, locale) {
+  const profile = resolveMappingProfile(params.mappingProfile);
+  const columnMap = parseColumnMapParam(params.columnMap);
+  const columnUnits = parseColumnUnitsParam(params.columnUnits);
+  const ruleSet = resolveRuleSet(params.ruleSet);
+
+  const { dataType, source: dataTypeSource, detection } = resolveDataType(params.dataType, source.columns, profile);
+  const mapping = dataType === 'raw'
+    ? null
+    : resolveColumnMapping(source.columns, dataType, getProfileMappings(profile, dataType), columnMap);
+  const unitPlan = mapping ? resolveUnitPlan(getSchema(dataType), mapping.effective, columnUnits, profile) : null;
+  const numberFormat = await resolveTableNumberFormat(params.numberFormat, profile, source);
+  const dateOptions = resolveDateOptions(params, profile);
+  const coordinateSystem = resolveCoordinateOptions(params, profile);
+  const geoValidation = resolveGeoValidation(params.geoValidation);
+
+  return {
+    dataType,
+    dataTypeSource,
+    detection,
+    profile,
+    mapping,
+    ruleSet,
+    numberFormat,
+    dateOptions,
+    unitPlan,
+    coordinateSystem,
+    geoValidation,
+    locale,
+    parse: {
+      dataType,
+      columnMapping: mapping?.effective,
+      options: {
+        ruleSet: ruleSet.name,
+        locale,
+        numberFormat: numberFormat.format,
+        dateFormats: dateOptions.formats,
+        timezone: dateOptions.timezone,
+        unitPlan,
+        coordinateSystem,
+        geoValidation,
+      },
+    },
+  };
+}
+
+/**
+ * The parse parameters of a request body, to be stored with a job
+ */
+function pickParseParams(body, exclude = []) {
+  const params = {};
+  for (const name of PARSE_PARAMS) {
+    if (!exclude.includes(name) && body[name] !== undefined) params[name] = body[name];
+  }
+  return params;
+}
+
+/**
+ * Check the table-independent parse parameters up front (throws like resolveParsePlan)
+ */
+function validateParseParams(params) {
+  const profile = resolveMappingProfile(params.mappingProfile);
+  parseColumnUnitsParam(params.columnUnits);
+  resolveRuleSet(params.ruleSet);
+  resolveNumberFormat(params.numberFormat);
+  resolveDateOptions(params, profile);
+  resolveCoordinateOptions(params, profile);
+}
+
+/**
+ * Response fields describing a parse plan (dates get the interpretations seen while parsing)
+ */
+function describeParsePlan(plan, dateStats = {}) {
+  return {
+    dataType: plan.dataType,
+    dataTypeSource: plan.dataTypeSource,
+    detection: plan.detection,
+    mappingProfile: plan.profile.id,
+    mapping: plan.mapping,
+    ruleSet: plan.ruleSet.name,
+    numberFormat: plan.numberFormat,
+    dates: { ...plan.dateOptions, interpretations: dateStats },
+    units: plan.unitPlan,
+    coordinateSystem: plan.coordinateSystem,
+    geoValidation: plan.geoValidation,
+    locale: plan.locale,
+  };
+}
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    activeSessions: fileCache.size,
+    activeChunkUploads: chunkSessions.size,
+    chunkSizeBytes: CHUNK_SIZE,
+    fileStore: {
+      files: fileStore.size,
+      referenced: [...fileStore.values()].filter((entry) => entry.refCount > 0).length,
+      bytes: [...fileStore.values()].reduce((sum, entry) => sum + entry.size, 0),
+      retentionMs: STORE_RETENTION,
+    },
+    workers: describeWorkerPool(),
+    readerCache: describeReaderCache(),
+    jobs: {
+      queued: jobQueue.length,
+      running: runningJobs.size,
+      concurrency: JOB_CONCURRENCY,
+    },
+  });
+});
+
+// ============================================
+// CHUNKED UPLOAD - INIT / CHUNK / COMPLETE
+// ============================================
+app.post('/upload-init', async (req, res) => {
+  try {
+    const { filename, size, totalChunks } = req.body || {};
+
+    if (!filename || typeof filename !== 'string') {
+      return sendError(req, res, 400, 'upload.invalidFilename');
+    }
+    const sha256 = parseSha256Param(req.body.sha256);
+    if (size !== undefined && size !== null && !(Number.isInteger(Number(size)) && Number(size) > 0)) {
+      return sendError(req, res, 400, 'upload.invalidSize', { value: size });
+    }
+
+    // Already have it: no chunks to send, the session points at the stored file
+    const stored = findStoredFile(sha256);
+    if (stored && (!size || Number(size) === stored.size)) {
+      const sessionId = openFileSession(sha256, sanitizeFilename(filename));
+      console.log(`[upload-init] ${filename} already stored as ${sha256}, session=${sessionId}`);
+      const tables = await listSessionTables(sessionId, stored.filePath);
+      return res.json({ success: true, exists: true, sessionId, tables, size: stored.size, sha256 });
+    }
+
+    const uploadId = generateUploadId();
+    const dirPath = getChunkDir(uploadId);
+    ensureDir(dirPath);
+
+    chunkSessions.set(uploadId, {
+      status: 'receiving', // receiving -> assembling -> processing -> ready | failed
+      dirPath,
+      filename: sanitizeFilename(filename),
+      totalChunks: Number(totalChunks) || null,
+      size: Number(size) || null,
+      sha256,
+      chunks: {}, // index -> { size, sha256 } as received
+      createdAt: Date.now(),
+    });
+
+    console.log(`[upload-init] uploadId=${uploadId}, file=${filename}, size=${size}, totalChunks=${totalChunks}, sha256=${sha256 || '-'}`);
+    res.json({ success: true, uploadId, chunkSize: CHUNK_SIZE });
+  } catch (err) {
+    console.error('[upload-init] Error:', err);
+    sendRouteError(req, res, err, 'upload.initFailed');
+  }
+});
+
+app.get('/upload-status', (req, res) => {
+  try {
+    const uploadId = String(req.query?.uploadId || '').trim();
+    if (!uploadId) {
+      return sendError(req, res, 400, 'upload.missingUploadId');
+    }
+
+    if (!chunkSessions.has(uploadId)) {
+      return sendError(req, res, 404, 'upload.notFound');
+    }
+
+    const session = chunkSessions.get(uploadId);
+    const dirPath = session?.dirPath;
+
+    let receivedIndices = [];
+    if (dirPath && fs.existsSync(dirPath)) {
+      const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+      receivedIndices = entries
+        .filter((e) => e.isFile() && e.name.endsWith('.part'))
+        .map((e) => Number(e.name.replace('.part', '')))
+        .filter((n) => Number.isFinite(n))
+        .sort((a, b) => a - b);
+    }
+
+    res.json({
+      success: true,
+      uploadId,
+      totalChunks: session?.totalChunks ?? null,
+      size: session?.size ?? null,
+      sha256: session?.sha256 ?? null,
+      received: receivedIndices.length,
+      receivedIndices,
+      chunks: session?.chunks ?? {},
+      ...describeUploadProgress(req, uploadId, session),
     });
+  } catch (err) {
+    console.error('[upload-status] Error:', err);
+    sendRouteError(req, res, err, 'upload.statusFailed');
+  }
+});
+
+app.post('/upload-chunk', chunkUpload.single('chunk'), (req, res) => {
+  try {
+    const uploadId = req.body?.uploadId;
+    const indexRaw = req.body?.index;
+    const totalChunksRaw = req.body?.totalChunks;
+
+    const index = Number(indexRaw);
+    const totalChunks = Number(totalChunksRaw);
+
+    if (!uploadId) {
+      return sendError(req, res, 400, 'upload.missingUploadId');
+    }
+
+    if (!Number.isFinite(index) || index < 0) {
+      return sendError(req, res, 400, 'upload.invalidIndex');
+    }
+
+    if (!Number.isFinite(totalChunks) || totalChunks <= 0) {
+      return sendError(req, res, 400, 'upload.invalidTotalChunks');
+    }
+
+    const session = assertChunkSession(uploadId);
+    if (session.status !== 'receiving') {
+      return sendError(req, res, 409, 'upload.notReceiving', { status: session.status });
+    }
+    session.createdAt = Date.now(); // keep alive
+    if (!session.totalChunks) session.totalChunks = totalChunks;
+
+    if (!req.file || !req.file.buffer) {
+      return sendError(req, res, 400, 'upload.missingChunk');
+    }
+
+    const expectedHash = parseSha256Param(req.body.sha256);
+    const actualHash = sha256Hex(req.file.buffer);
+    if (expectedHash && expectedHash !== actualHash) {
+      console.warn(`[upload-chunk] Checksum mismatch uploadId=${uploadId}, index=${index}, size=${req.file.buffer.length}`);
+      return sendError(req, res, 400, 'upload.chunkChecksumMismatch', { index }, { index, expected: expectedHash, actual: actualHash });
+    }
+
+    const dirPath = session.dirPath;
+    ensureDir(dirPath);
+
+    const chunkPath = getChunkPath(uploadId, index);
+
+    // Idempotent write: a repeated chunk with the same content is accepted as is;
+    // different content replaces it (a retry after a bad chunk). Temp file + rename
+    // so an interrupted write never leaves a partial chunk behind.
+    const previous = session.chunks[index];
+    if (!fs.existsSync(chunkPath) || !previous || previous.sha256 !== actualHash) {
+      const tmpPath = `${chunkPath}.tmp`;
+      fs.writeFileSync(tmpPath, req.file.buffer);
+      fs.renameSync(tmpPath, chunkPath);
+    }
+    session.chunks[index] = { size: req.file.buffer.length, sha256: actualHash };
 
+    res.json({ success: true, index, size: req.file.buffer.length, sha256: actualHash });
+  } catch (err) {
+    console.error('[upload-chunk] Error:', err);
+    sendRouteError(req, res, err, 'upload.chunkFailed');
+  }
+});
+
+/**
+ * Assemble, verify and store an upload, then list its tables on the worker pool.
+ * Progress is kept on the chunk session (status) so clients can poll it.
+ * Until the chunks are removed a failure leaves the upload receiving, so the
+ * client can resend chunks and complete again; later failures are final.
+ */
+async function completeUpload(uploadId, session) {
+  const totalChunks = Number(session.totalChunks);
+  const finalPath = path.join(CHUNKS_DIR, `${uploadId}.assembled`);
+  session.status = 'assembling';
+  session.error = null;
+
+  console.log(`[upload-complete] Assembling uploadId=${uploadId} into ${finalPath}`);
+
+  let assembled;
+  try {
+    assembled = await assembleChunks(uploadId, totalChunks, finalPath);
+
+    // Verify against what upload-init announced
+    const mismatch = session.size && assembled.size !== session.size
+      ? requestError('upload.sizeMismatch', { expected: session.size, actual: assembled.size })
+      : session.sha256 && assembled.sha256 !== session.sha256
+        ? requestError('upload.checksumMismatch', { expected: session.sha256, actual: assembled.sha256 })
+        : null;
+    if (mismatch) {
+      console.warn(`[upload-complete] ${mismatch.errorCode} uploadId=${uploadId}: expected ${mismatch.params.expected}, got ${mismatch.params.actual}`);
+      mismatch.details = { ...mismatch.params, chunks: session.chunks };
+      throw mismatch;
+    }
+  } catch (err) {
+    fs.rmSync(finalPath, { force: true });
+    session.status = 'receiving';
+    throw err;
+  }
+
+  // Clean up chunks directory
+  try {
+    await fs.promises.rm(session.dirPath, { recursive: true, force: true });
+  } catch (e) {
+    console.warn('[upload-complete] Failed to delete chunks dir:', e);
+  }
+
+  // Keep one copy per content and reference it from the new session
+  session.status = 'processing';
+  const { entry, deduplicated } = storeFile(finalPath, assembled.sha256);
+  const sessionId = openFileSession(assembled.sha256, session.filename);
+
+  console.log(`[upload-complete] Created session: ${sessionId} (${assembled.size} bytes, sha256=${assembled.sha256})`);
+
+  try {
+    // Parse tables (like /list-tables); the chunks are already assembled, so
+    // this waits for a worker instead of being refused under back-pressure
+    const tables = await runAccessTask('listTables', { filePath: entry.filePath }, { background: true });
     console.log(`[upload-complete] Found ${tables.length} tables`);
-    res.json({ success: true, tables, sessionId });
+
+    session.result = { success: true, tables, sessionId, size: assembled.size, sha256: assembled.sha256, deduplicated };
+    session.status = 'ready';
+    session.createdAt = Date.now(); // keep the result available for polling
+    return session.result;
   } catch (err) {
-    console.error('[upload-complete] Error:', err);
-    const status = err.statusCode || 500;
-    res.status(status).json({ success: false, error: err.message || 'Erro ao finalizar upload' });
+    releaseSessionFile(sessionId);
+    session.status = 'failed';
+    throw err;
+  }
+}
+
+/**
+ * Upload progress for polling: status plus the result or the last error
+ */
+function describeUploadProgress(req, uploadId, session) {
+  const { error } = session;
+  return {
+    uploadId,
+    status: session.status,
+    result: session.status === 'ready' ? session.result : null,
+    error: error
+      ? { code: error.errorCode || 'upload.completeFailed', message: error.errorCode ? translate(resolveLocale(req), error.errorCode, error.params) : error.message, ...error.details }
+      : null,
+  };
+}
+
+app.post('/upload-complete', async (req, res) => {
+  try {
+    const { uploadId } = req.body || {};
+    const session = assertChunkSession(uploadId);
+    const wait = !(req.body.async === true || req.body.async === 'true');
+
+    // A repeated call (e.g. after a proxy timeout) joins the running completion or returns its result
+    if (session.status === 'ready') {
+      return res.json(session.result);
+    }
+    if (session.status !== 'assembling' && session.status !== 'processing') {
+      if (session.status === 'failed') {
+        return sendRouteError(req, res, session.error, 'upload.completeFailed');
+      }
+
+      const totalChunks = Number(session.totalChunks);
+      if (!Number.isFinite(totalChunks) || totalChunks <= 0) {
+        return sendError(req, res, 400, 'upload.missingTotalChunks');
+      }
+
+      session.completion = completeUpload(uploadId, session).catch((err) => {
+        console.error('[upload-complete] Error:', err);
+        session.error = err;
+        throw err;
+      });
+      session.completion.catch(() => {}); // handled by whoever awaits it, or polled
+    }
+
+    if (!wait) {
+      return res.status(202).json({ success: true, ...describeUploadProgress(req, uploadId, session) });
+    }
+    res.json(await session.completion);
+  } catch (err) {
+    sendRouteError(req, res, err, 'upload.completeFailed');
   }
 });
 
@@ -629,7 +1999,7 @@ app.post('/upload-abort', (req, res) => {
     res.json({ success: true });
   } catch (err) {
     console.error('[upload-abort] Error:', err);
-    res.status(500).json({ success: false, error: err.message || 'Erro ao abortar upload' });
+    sendRouteError(req, res, err, 'upload.abortFailed');
   }
 });
 
@@ -639,50 +2009,30 @@ app.post('/upload-abort', (req, res) => {
 app.post('/list-tables', upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
-      return res.status(400).json({ success: false, error: 'Arquivo não fornecido' });
+      return sendError(req, res, 400, 'file.missing');
     }
 
     // File is now on disk at req.file.path
     const filePath = req.file.path;
     console.log(`[list-tables] Processing file: ${req.file.originalname}, size: ${req.file.size} bytes, path: ${filePath}`);
 
-    // Generate session ID and cache the file path (not buffer)
-    const sessionId = generateSessionId();
-    fileCache.set(sessionId, {
-      filePath: filePath,
-      filename: req.file.originalname,
-      timestamp: Date.now(),
-    });
+    // Move it into the content-addressed store and open a session on it (file path, not buffer)
+    const sha256 = await hashFile(filePath);
+    const { entry, deduplicated } = storeFile(filePath, sha256);
+    const sessionId = openFileSession(sha256, req.file.originalname);
 
     console.log(`[list-tables] Created session: ${sessionId}`);
 
-    // Read file from disk for parsing
-    const buffer = readFileBuffer(filePath);
-    const reader = new MDBReader(buffer);
-    const tableNames = reader.getTableNames();
-
-    const tables = tableNames.map((name) => {
-      try {
-        const table = reader.getTable(name);
-        const columns = table.getColumnNames();
-        // IMPORTANT: do NOT call table.getData() here.
-        // For large databases, loading all rows of every table can exhaust memory and
-        // crash/reset the process, which surfaces in the client as a network upload error.
-        const rowCount = typeof table.rowCount === 'number' ? table.rowCount : 0;
-        return { name, rowCount, columns };
-      } catch (err) {
-        console.error(`Error reading table ${name}:`, err);
-        return { name, rowCount: 0, columns: [] };
-      }
-    });
+    // Enumerate tables on a worker thread
+    const tables = await listSessionTables(sessionId, entry.filePath);
 
     console.log(`[list-tables] Found ${tables.length} tables`);
     
     // Return sessionId so client can use it for parse-table
-    res.json({ success: true, tables, sessionId });
+    res.json({ success: true, tables, sessionId, size: entry.size, sha256, deduplicated });
   } catch (err) {
     console.error('[list-tables] Error:', err);
-    res.status(500).json({ success: false, error: err.message || 'Erro ao processar arquivo' });
+    sendRouteError(req, res, err, 'file.processFailed');
   }
 });
 
@@ -695,63 +2045,33 @@ app.post('/list-tables-from-url', async (req, res) => {
     const { fileUrl, filename } = req.body;
     
     if (!fileUrl) {
-      return res.status(400).json({ success: false, error: 'URL do arquivo não fornecida' });
+      return sendError(req, res, 400, 'file.missingUrl');
     }
     
-    console.log(`[list-tables-from-url] Downloading file from signed URL: ${filename || 'unknown'}`);
+    const url = assertDownloadUrl(fileUrl);
+    console.log(`[list-tables-from-url] Downloading file from signed URL: ${filename || 'unknown'} (${url.hostname})`);
     
-    // Download file from the signed URL
-    const response = await fetch(fileUrl);
-    
-    if (!response.ok) {
-      console.error(`[list-tables-from-url] Failed to download: ${response.status} ${response.statusText}`);
-      return res.status(400).json({ success: false, error: `Erro ao baixar arquivo: ${response.status}` });
-    }
-    
-    // Get file as array buffer and write to disk
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-    
-    console.log(`[list-tables-from-url] Downloaded ${buffer.length} bytes`);
-    
-    // Save to disk
-    const sessionId = generateSessionId();
+    // Stream the body to disk, then keep it once per content and open a session on it
     const safeFilename = sanitizeFilename(filename || 'download.accdb');
-    const finalPath = path.join(UPLOADS_DIR, `${sessionId}-${safeFilename}`);
+    const tmpPath = path.join(UPLOADS_DIR, `${generateUploadId()}-${safeFilename}`);
+    const { size, sha256, resumes } = await downloadToFile(url, tmpPath);
     
-    fs.writeFileSync(finalPath, buffer);
+    console.log(`[list-tables-from-url] Downloaded ${size} bytes${resumes ? ` (resumed ${resumes}x)` : ''}`);
     
-    // Cache file path
-    fileCache.set(sessionId, {
-      filePath: finalPath,
-      filename: safeFilename,
-      timestamp: Date.now(),
-    });
-    
-    console.log(`[list-tables-from-url] Created session: ${sessionId}, file: ${finalPath}`);
+    const { entry, deduplicated } = storeFile(tmpPath, sha256);
+    const sessionId = openFileSession(sha256, safeFilename);
     
-    // Parse tables
-    const reader = new MDBReader(buffer);
-    const tableNames = reader.getTableNames();
+    console.log(`[list-tables-from-url] Created session: ${sessionId}, file: ${entry.filePath}`);
     
-    const tables = tableNames.map((name) => {
-      try {
-        const table = reader.getTable(name);
-        const columns = table.getColumnNames();
-        const rowCount = typeof table.rowCount === 'number' ? table.rowCount : 0;
-        return { name, rowCount, columns };
-      } catch (err) {
-        console.error(`Error reading table ${name}:`, err);
-        return { name, rowCount: 0, columns: [] };
-      }
-    });
+    // Enumerate tables on a worker thread
+    const tables = await listSessionTables(sessionId, entry.filePath);
     
     console.log(`[list-tables-from-url] Found ${tables.length} tables`);
-    res.json({ success: true, tables, sessionId });
+    res.json({ success: true, tables, sessionId, size: entry.size, sha256, deduplicated });
     
   } catch (err) {
     console.error('[list-tables-from-url] Error:', err);
-    res.status(500).json({ success: false, error: err.message || 'Erro ao processar arquivo' });
+    sendRouteError(req, res, err, 'file.processFailed');
   }
 });
 
@@ -761,57 +2081,37 @@ app.post('/list-tables-from-url', async (req, res) => {
 // ============================================
 app.post('/parse-table-batch', async (req, res) => {
   try {
-    const { sessionId, tableName, offset = 0, limit = 1000 } = req.body;
+    const { sessionId, tableName } = req.body;
+    const offset = Math.max(0, Number(req.body.offset) || 0);
+    const limit = Math.max(1, Number(req.body.limit) || 1000);
     
     if (!tableName) {
-      return res.status(400).json({ success: false, error: 'Nome da tabela não fornecido' });
+      return sendError(req, res, 400, 'table.missingName');
     }
     
     if (!sessionId || !fileCache.has(sessionId)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Sessão não encontrada. Faça upload novamente.' 
-      });
+      return sendError(req, res, 400, 'session.notFound');
     }
     
     const cached = fileCache.get(sessionId);
     cached.timestamp = Date.now(); // Keep alive
     
     if (!cached.filePath || !fs.existsSync(cached.filePath)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Arquivo da sessão não encontrado.' 
-      });
+      return sendError(req, res, 400, 'session.fileNotFound');
     }
     
     console.log(`[parse-table-batch] Table=${tableName}, offset=${offset}, limit=${limit}`);
     
-    const buffer = readFileBuffer(cached.filePath);
-    const reader = new MDBReader(buffer);
-    const table = reader.getTable(tableName);
-    const columns = table.getColumnNames();
-    const totalRows = typeof table.rowCount === 'number' ? table.rowCount : 0;
+    const source = await openRowSource(cached.filePath, tableName);
+    const { columns, totalRows } = source;
     
-    // Get all data and slice (mdb-reader doesn't support pagination natively)
-    const allData = table.getData();
-    const slicedData = allData.slice(offset, offset + limit);
+    // Detect data type (unless given), mapping and formats
+    const plan = await resolveParsePlan(req.body, source, resolveLocale(req));
     
-    // Detect data type
-    const dataType = detectDataType(columns);
-    
-    // Parse rows
-    const rows = [];
-    for (let i = 0; i < slicedData.length; i++) {
-      const row = slicedData[i];
-      const globalIndex = offset + i;
-      const result = dataType === 'production'
-        ? parseProductionRow(row, columns, globalIndex)
-        : parseWellsRow(row, columns, globalIndex);
-      
-      rows.push(result);
-    }
+    // Read and parse only the requested page (on the worker holding the file)
+    const { count, rows, dateStats } = await source.parsePage(offset, limit, plan.parse);
     
-    const hasMore = offset + slicedData.length < totalRows;
+    const hasMore = offset + count < totalRows;
     
     console.log(`[parse-table-batch] Returned ${rows.length} rows, hasMore=${hasMore}`);
     
@@ -819,7 +2119,7 @@ app.post('/parse-table-batch', async (req, res) => {
       success: true,
       tableName,
       columns,
-      dataType,
+      ...describeParsePlan(plan, dateStats),
       totalRows,
       offset,
       limit,
@@ -829,7 +2129,7 @@ app.post('/parse-table-batch', async (req, res) => {
     
   } catch (err) {
     console.error('[parse-table-batch] Error:', err);
-    res.status(500).json({ success: false, error: err.message || 'Erro ao processar tabela' });
+    sendRouteError(req, res, err, 'table.processFailed');
   }
 });
 
@@ -837,10 +2137,10 @@ app.post('/parse-table', upload.single('file'), async (req, res) => {
   try {
     const tableName = req.body.tableName;
     if (!tableName) {
-      return res.status(400).json({ success: false, error: 'Nome da tabela não fornecido' });
+      return sendError(req, res, 400, 'table.missingName');
     }
 
-    let buffer;
+    let filePath;
     const sessionId = req.body.sessionId;
 
     // Try to get file from session cache first (read from disk)
@@ -850,64 +2150,240 @@ app.post('/parse-table', upload.single('file'), async (req, res) => {
       cached.timestamp = Date.now(); // Refresh timestamp
       
       if (!cached.filePath || !fs.existsSync(cached.filePath)) {
-        return res.status(400).json({ 
-          success: false, 
-          error: 'Arquivo da sessão não encontrado. Faça upload novamente.' 
-        });
+        return sendError(req, res, 400, 'session.fileNotFound');
       }
       
-      buffer = readFileBuffer(cached.filePath);
+      filePath = cached.filePath;
     } else if (req.file) {
-      // Fallback to uploaded file (already on disk)
+      // Fallback to uploaded file (already on disk, deleted once parsed)
       console.log(`[parse-table] Using uploaded file: ${req.file.originalname}, size: ${req.file.size} bytes`);
-      buffer = readFileBuffer(req.file.path);
-      
-      // Clean up the uploaded file after reading (not needed for session)
-      try {
-        fs.unlinkSync(req.file.path);
-      } catch (e) {
-        console.warn('[parse-table] Failed to delete temp file:', e);
-      }
+      filePath = req.file.path;
     } else {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Arquivo não fornecido. Sessão pode ter expirado - faça upload novamente.' 
-      });
+      return sendError(req, res, 400, 'file.missingOrExpired');
     }
 
     console.log(`[parse-table] Processing table: ${tableName}`);
 
-    const reader = new MDBReader(buffer);
-    const table = reader.getTable(tableName);
-    const columns = table.getColumnNames();
-    const data = table.getData();
+    const source = await openRowSource(filePath, tableName);
 
-    // Detect data type based on columns
-    const dataType = detectDataType(columns);
-    console.log(`[parse-table] Detected data type: ${dataType} for table ${tableName}`);
+    // Detect data type based on columns (unless given)
+    const plan = await resolveParsePlan(req.body, source, resolveLocale(req));
+    console.log(`[parse-table] Data type: ${plan.dataType} (${plan.dataTypeSource}) for table ${tableName}`);
 
-    const totalRows = data.length;
+    let totalRows = 0;
+    let warningCount = 0;
     const success = [];
     const failed = [];
+    const dateStats = {};
 
-    for (let i = 0; i < data.length; i++) {
-      const row = data[i];
-      const result = dataType === 'production' 
-        ? parseProductionRow(row, columns, i)
-        : parseWellsRow(row, columns, i);
+    // One worker task per page keeps each task short and lets other requests interleave
+    for await (const page of source.parsedPages(0, ROW_PAGE_SIZE, plan.parse)) {
+      for (const result of page.rows) {
+        warningCount += result.warnings.length;
 
-      if (result.data) {
-        success.push(result);
-      } else {
-        failed.push(result);
+        if (result.data) {
+          success.push(result);
+        } else {
+          failed.push(result);
+        }
       }
+      mergeDateStats(dateStats, page.dateStats);
+      totalRows += page.count;
     }
 
-    console.log(`[parse-table] Processed ${totalRows} rows: ${success.length} valid, ${failed.length} failed`);
-    res.json({ success: true, parseResult: { success, failed, totalRows }, dataType });
+    console.log(`[parse-table] Processed ${totalRows} rows: ${success.length} valid, ${failed.length} failed, ${warningCount} warnings`);
+    res.json({
+      success: true,
+      parseResult: { success, failed, totalRows, warningCount },
+      ...describeParsePlan(plan, dateStats),
+    });
   } catch (err) {
     console.error('[parse-table] Error:', err);
-    res.status(500).json({ success: false, error: err.message || 'Erro ao processar tabela' });
+    sendRouteError(req, res, err, 'table.processFailed');
+  } finally {
+    // The uploaded file is not needed for a session
+    if (req.file) {
+      dropAccessFile(req.file.path);
+      try {
+        fs.unlinkSync(req.file.path);
+      } catch (e) {
+        console.warn('[parse-table] Failed to delete temp file:', e);
+      }
+    }
+  }
+});
+
+// ============================================
+// SCHEMAS - Registered target schemas
+// ============================================
+app.get('/schemas', (req, res) => {
+  const locale = resolveLocale(req);
+  res.json({
+    success: true,
+    locale,
+    schemas: listSchemas().map((schema) => describeSchema(schema, locale)),
+    ruleSets: Object.keys(ruleSets).map((name) => ({ name, description: translate(locale, `ruleSet.${name}`) })),
+  });
+});
+
+// ============================================
+// MAPPING PROFILES - CRUD
+// ============================================
+app.get('/mapping-profiles', (req, res) => {
+  const profiles = [defaultMappingProfile, ...mappingProfiles.values()];
+  const targetFields = Object.fromEntries(listSchemas().map((schema) => [schema.id, schema.fieldNames]));
+  res.json({ success: true, profiles, targetFields });
+});
+
+app.get('/mapping-profiles/:id', (req, res) => {
+  try {
+    res.json({ success: true, profile: resolveMappingProfile(req.params.id) });
+  } catch (err) {
+    sendRouteError(req, res, err, 'profile.notFound');
+  }
+});
+
+app.post('/mapping-profiles', (req, res) => {
+  try {
+    const body = req.body || {};
+    const id = String(body.id || body.name || '')
+      .toLowerCase()
+      .trim()
+      .replace(/[^a-z0-9_-]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 64);
+
+    if (!id) {
+      return sendError(req, res, 400, 'profile.missingId');
+    }
+    if (id === DEFAULT_MAPPING_PROFILE_ID || mappingProfiles.has(id)) {
+      return sendError(req, res, 409, 'profile.exists', { id });
+    }
+
+    const profile = buildMappingProfile(id, body);
+    mappingProfiles.set(id, profile);
+    saveMappingProfiles();
+
+    console.log(`[mapping-profiles] Created profile: ${id}`);
+    res.status(201).json({ success: true, profile });
+  } catch (err) {
+    console.error('[mapping-profiles] Error:', err);
+    sendRouteError(req, res, err, 'profile.createFailed');
+  }
+});
+
+app.put('/mapping-profiles/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+    if (id === DEFAULT_MAPPING_PROFILE_ID) {
+      return sendError(req, res, 400, 'profile.defaultReadOnly');
+    }
+
+    const existing = mappingProfiles.get(id);
+    if (!existing) {
+      return sendError(req, res, 404, 'profile.notFound', { id });
+    }
+
+    const profile = buildMappingProfile(id, req.body || {}, existing);
+    mappingProfiles.set(id, profile);
+    saveMappingProfiles();
+
+    console.log(`[mapping-profiles] Updated profile: ${id}`);
+    res.json({ success: true, profile });
+  } catch (err) {
+    console.error('[mapping-profiles] Error:', err);
+    sendRouteError(req, res, err, 'profile.updateFailed');
+  }
+});
+
+app.delete('/mapping-profiles/:id', (req, res) => {
+  const { id } = req.params;
+  if (id === DEFAULT_MAPPING_PROFILE_ID) {
+    return sendError(req, res, 400, 'profile.defaultUndeletable');
+  }
+  if (!mappingProfiles.has(id)) {
+    return sendError(req, res, 404, 'profile.notFound', { id });
+  }
+
+  mappingProfiles.delete(id);
+  saveMappingProfiles();
+
+  console.log(`[mapping-profiles] Deleted profile: ${id}`);
+  res.json({ success: true });
+});
+
+// ============================================
+// SUGGEST MAPPING - Candidate target field per column
+// ============================================
+app.post('/suggest-mapping', async (req, res) => {
+  try {
+    const { sessionId, tableName } = req.body || {};
+    const sampleSize = Math.min(Math.max(Number(req.body?.sampleSize) || 200, 1), 5000);
+
+    if (!tableName) {
+      return sendError(req, res, 400, 'table.missingName');
+    }
+
+    const profile = resolveMappingProfile(req.body?.mappingProfile);
+
+    if (!sessionId || !fileCache.has(sessionId)) {
+      return sendError(req, res, 400, 'session.notFound');
+    }
+
+    const cached = fileCache.get(sessionId);
+    cached.timestamp = Date.now(); // Keep alive
+
+    if (!cached.filePath || !fs.existsSync(cached.filePath)) {
+      return sendError(req, res, 400, 'session.fileNotFound');
+    }
+
+    const source = await openRowSource(cached.filePath, tableName);
+    const { columns } = source;
+    const sample = await source.readPage(0, sampleSize);
+
+    const schemaIds = listSchemas().map((schema) => schema.id);
+    const aliases = Object.fromEntries(
+      schemaIds.map((id) => [id, buildFieldAliases(id, getProfileMappings(profile, id))])
+    );
+
+    const suggestions = columns.map((column) => {
+      const valueProfile = profileColumnValues(sample.map((row) => row[column]));
+      const ranked = Object.fromEntries(
+        schemaIds.map((id) => [id, rankFieldsForColumn(column, valueProfile, id, aliases[id])])
+      );
+      return { column, unit: tokenizeHeader(column).unit, valueProfile, ranked };
+    });
+
+    const result = suggestions.map(({ column, unit, valueProfile, ranked }) => {
+      const best = schemaIds.map((id) => ranked[id][0]).sort((a, b) => b.confidence - a.confidence)[0];
+      return {
+        column,
+        unit,
+        sample: {
+          count: valueProfile.count,
+          dateRatio: Math.round(valueProfile.dateRatio * 100) / 100,
+          numericRatio: Math.round(valueProfile.numericRatio * 100) / 100,
+          min: valueProfile.min,
+          max: valueProfile.max,
+        },
+        best: best.confidence >= SUGGESTION_MIN_CONFIDENCE ? best : null,
+        candidates: Object.fromEntries(schemaIds.map((id) => [id, ranked[id].slice(0, 3)])),
+      };
+    });
+
+    console.log(`[suggest-mapping] Table=${tableName}, columns=${columns.length}, sample=${sample.length}`);
+
+    res.json({
+      success: true,
+      tableName,
+      detectedDataType: detectDataType(columns, profile).dataType,
+      sampleSize: sample.length,
+      columns: result,
+      suggestedColumnMap: Object.fromEntries(schemaIds.map((id) => [id, pickSuggestedColumnMap(suggestions, id)])),
+    });
+  } catch (err) {
+    console.error('[suggest-mapping] Error:', err);
+    sendRouteError(req, res, err, 'suggest.failed');
   }
 });
 
@@ -918,571 +2394,918 @@ app.post('/clear-session', express.json(), (req, res) => {
   const { sessionId } = req.body;
   
   if (sessionId && fileCache.has(sessionId)) {
-    const cached = fileCache.get(sessionId);
-    
-    // Delete file from disk
-    if (cached.filePath && fs.existsSync(cached.filePath)) {
-      try {
-        fs.unlinkSync(cached.filePath);
-        console.log(`[clear-session] Deleted file: ${cached.filePath}`);
-      } catch (e) {
-        console.error(`[clear-session] Failed to delete file: ${cached.filePath}`, e);
-      }
-    }
-    
-    fileCache.delete(sessionId);
+    // Release the file (deleted once no other session references it)
+    releaseSessionFile(sessionId);
     console.log(`[clear-session] Deleted session: ${sessionId}`);
     res.json({ success: true });
   } else {
-    res.json({ success: false, error: 'Session not found' });
+    res.json({ success: false, code: 'session.notFound', error: translate(resolveLocale(req), 'session.notFound') });
+  }
+});
+
+// ============================================
+// DESTINATIONS - Named sync destinations configured on the server
+// ============================================
+app.get('/destinations', (req, res) => {
+  res.json({
+    success: true,
+    destinations: listNamedDestinations(),
+    defaultDestinationId: DEFAULT_DESTINATION_ID,
+    requestCredentials: ALLOW_REQUEST_CREDENTIALS,
+  });
+});
+
+// ============================================
+// SYNC TO SUPABASE - Direct database insertion from Railway
+// This bypasses Edge Function timeout limits. The rows go to the request's
+// `destinationId` or `destination` (the default named destination when it
+// gives neither, see destinations.js).
+// ============================================
+app.post('/sync-to-supabase', async (req, res) => {
+  const { 
+    sessionId, 
+    tableName, 
+    fileId, 
+    deleteExisting = true 
+  } = req.body;
+  const locale = resolveLocale(req);
+  
+  if (!sessionId || !tableName || !fileId) {
+    return sendError(req, res, 400, 'sync.missingParams', { params: 'sessionId, tableName, fileId' });
+  }
+  
+  let mode;
+  let strategy;
+  try {
+    mode = resolveSyncMode(req.body.mode);
+    strategy = resolveSyncStrategy(req.body.strategy, mode);
+  } catch (err) {
+    return sendRouteError(req, res, err, 'sync.invalidMode');
+  }
+  
+  let destination;
+  try {
+    destination = resolveDestinationConfig(req.body);
+    assertStrategySupported(strategy, destination);
+    await checkDestination(destination);
+  } catch (err) {
+    return sendRouteError(req, res, err, 'destination.unavailable');
+  }
+  
+  if (!fileCache.has(sessionId)) {
+    return sendError(req, res, 400, 'session.notFound');
+  }
+  
+  const cached = fileCache.get(sessionId);
+  cached.timestamp = Date.now();
+  
+  if (!cached.filePath || !fs.existsSync(cached.filePath)) {
+    return sendError(req, res, 400, 'session.fileNotFound');
+  }
+  
+  // Incremental: key columns are checked against the table now
+  let keyColumns = null;
+  if (strategy === 'incremental' && req.body.keyColumns) {
+    try {
+      const { columns } = await openRowSource(cached.filePath, tableName);
+      keyColumns = resolveKeyColumns(req.body.keyColumns, columns, tableName);
+    } catch (err) {
+      return sendRouteError(req, res, err, 'table.processFailed');
+    }
+  }
+  
+  // Typed mode: resolve the parse now so bad parameters fail the request, not the job
+  const parse = mode === 'typed' ? pickParseParams(req.body) : undefined;
+  let plan = null;
+  if (parse) {
+    try {
+      plan = await resolveParsePlan(parse, await openRowSource(cached.filePath, tableName), locale);
+      assertSyncTarget(plan.dataType);
+      // Every row would be rejected (sync-all skips such tables)
+      if (plan.mapping.missingRequiredFields.length > 0) {
+        throw requestError('sync.missingRequiredFields', { table: tableName, fields: plan.mapping.missingRequiredFields.join(', ') });
+      }
+    } catch (err) {
+      console.error('[sync-to-supabase] Invalid typed sync:', err.message);
+      return sendRouteError(req, res, err, 'table.processFailed');
+    }
+  }
+  
+  console.log(`[sync-to-supabase] Starting sync: table=${tableName}, fileId=${fileId}, mode=${mode}, strategy=${strategy}, destination=${destination.type}`);
+  
+  // Queue a persistent job - processing continues in background and survives restarts
+  const job = createJob('sync-table', {
+    sessionId,
+    filePath: cached.filePath,
+    filename: cached.filename,
+    sha256: cached.sha256 || null,
+    tableName,
+    fileId,
+    ...jobDestinationParams(destination),
+    deleteExisting,
+    mode,
+    parse,
+    strategy,
+    keyColumns,
+    locale,
+  });
+  
+  res.json({ 
+    success: true, 
+    message: translate(locale, 'sync.started'),
+    jobId: job.id,
+    tableName,
+    fileId,
+    destination: describeDestination(destination),
+    mode,
+    strategy,
+    keyColumns,
+    ...(plan && {
+      typedTable: getSyncTarget(plan.dataType).table,
+      dataType: plan.dataType,
+      dataTypeSource: plan.dataTypeSource,
+      mapping: plan.mapping,
+    }),
+  });
+});
+
+const SYNC_MODES = ['raw', 'typed'];
+
+/**
+ * Sync mode of a request: 'raw' (row_data JSON into access_data, the default)
+ * or 'typed' (parsed records into the schema's typed table)
+ */
+function resolveSyncMode(value) {
+  if (value === undefined || value === null || value === '') return 'raw';
+  if (!SYNC_MODES.includes(value)) {
+    throw requestError('sync.invalidMode', { value, allowed: SYNC_MODES.join(', ') });
+  }
+  return value;
+}
+
+const SYNC_STRATEGIES = ['replace', 'incremental', 'atomic'];
+
+/**
+ * Sync strategy of a request: 'replace' (delete the table's rows, when
+ * deleteExisting, and insert them all; the default), 'incremental' or
+ * 'atomic' (both raw mode only)
+ */
+function resolveSyncStrategy(value, mode) {
+  if (value === undefined || value === null || value === '') return 'replace';
+  if (!SYNC_STRATEGIES.includes(value)) {
+    throw requestError('sync.invalidStrategy', { value, allowed: SYNC_STRATEGIES.join(', ') });
+  }
+  if (value !== 'replace' && mode !== 'raw') {
+    throw requestError('sync.strategyRawOnly', { strategy: value });
+  }
+  return value;
+}
+
+function assertStrategySupported(strategy, destination) {
+  if (strategy === 'incremental' && !supportsIncrementalSync(destination)) {
+    throw requestError('sync.strategyUnsupported', { type: destination.type, strategy });
+  }
+}
+
+/**
+ * keyColumns of a table (array or comma-separated string), matched to its
+ * columns like columnMap (exact name, then case-insensitive)
+ */
+function resolveKeyColumns(value, columns, tableName) {
+  const names = typeof value === 'string' ? value.split(',').map((name) => name.trim()).filter(Boolean) : value;
+  if (!Array.isArray(names) || names.length === 0 || names.some((name) => typeof name !== 'string')) {
+    throw requestError('sync.invalidKeyColumns');
+  }
+  return names.map((name) => {
+    const column = columns.find((c) => c === name)
+      || columns.find((c) => c.toLowerCase().trim() === name.toLowerCase().trim());
+    if (!column) {
+      throw requestError('sync.unknownKeyColumn', { table: tableName, column: name });
+    }
+    return column;
+  });
+}
+
+/**
+ * keyColumns of /sync-all-to-supabase: { tableName: columns } over the listed tables
+ */
+function resolveTableKeyColumns(value, tables) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw requestError('sync.invalidKeyColumns');
+  }
+  const keyColumns = {};
+  for (const [tableName, columns] of Object.entries(value)) {
+    const table = tables.find((t) => t.name === tableName);
+    if (!table) {
+      throw requestError('sync.keyTableNotFound', { table: tableName });
+    }
+    keyColumns[tableName] = resolveKeyColumns(columns, table.columns, tableName);
+  }
+  return keyColumns;
+}
+
+/**
+ * Typed table of a data type; data types without one cannot be synced in typed mode
+ */
+function assertSyncTarget(dataType) {
+  const target = getSyncTarget(dataType);
+  if (!target) {
+    const allowed = listSchemas().filter((schema) => schema.sync).map((schema) => schema.id);
+    throw requestError('sync.typedUnsupported', { dataType, allowed: allowed.join(', ') });
+  }
+  return target;
+}
+
+/**
+ * Job params naming the destination: the id of a named destination (its
+ * credentials stay in the server's configuration) or the request's own config
+ * (createJob moves its credentials to memory before journaling)
+ */
+function jobDestinationParams(destination) {
+  return destination.id ? { destinationId: destination.id } : { destination };
+}
+
+/**
+ * Destination config of a sync job (journals written before destinations
+ * existed carry supabaseUrl instead)
+ */
+function getJobDestination(job) {
+  const { destinationId, destination, supabaseUrl } = job.params;
+  if (destinationId) return getNamedDestination(destinationId);
+  const config = destination || { type: 'supabase', url: supabaseUrl };
+  if (!requiresCredentials(config)) return config;
+  const credentials = jobCredentials.get(job.id);
+  if (!credentials) throw requestError('job.credentialsLost');
+  return { ...config, ...credentials };
+}
+
+/**
+ * Whether a job can still reach its destination: named destinations and
+ * credential-free ones always can, request-supplied credentials only while in memory
+ */
+function hasJobCredentials(job) {
+  const { destinationId, destination } = job.params;
+  if (destinationId || (destination && !requiresCredentials(destination))) return true;
+  return jobCredentials.has(job.id);
+}
+
+/**
+ * Run a batch write with up to 3 attempts; resolves to false when every attempt failed
+ */
+async function writeWithRetry(write, logTag) {
+  for (let retries = 3; retries > 0; retries--) {
+    try {
+      await write();
+      return true;
+    } catch (e) {
+      console.error(`[${logTag}] Write failed (${retries - 1} retries left):`, e.message);
+      if (retries > 1) {
+        await new Promise(r => setTimeout(r, 1000)); // Wait 1s before retry
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Write one page of a table to the destination. Raw pages go to access_data;
+ * parsed pages (typed mode) upsert their valid records into the typed table
+ * and add their rejected rows, with the structured errors, to access_import_errors.
+ * Resolves to the { written, failed, rejected } record counts.
+ */
+async function writeSyncBatch(destination, { fileId, tableName, plan, target, logTag }, page) {
+  const provenance = (rowIndex) => ({ access_file_id: fileId, source_table: tableName, row_index: rowIndex });
+
+  if (!plan) {
+    const records = page.rows.map((row, i) => ({ ...provenance(page.offset + i), row_data: row }));
+    const ok = await writeWithRetry(() => destination.insertRows(records), logTag);
+    return { written: ok ? records.length : 0, failed: ok ? 0 : records.length, rejected: 0 };
+  }
+
+  const rejected = [];
+  const reject = (result, errors) => rejected.push({
+    ...provenance(result.row - 1), // parse results count rows from 1
+    data_type: plan.dataType,
+    errors,
+    warnings: result.warnings,
+    row_data: result.original,
+  });
+
+  // A key repeated within the batch keeps its last row (the upsert cannot touch a
+  // row twice); the rows it replaces are rejected as duplicate_key
+  const valid = new Map(); // key -> parse result
+  const replaced = [];
+  for (const result of page.rows) {
+    if (!result.data) {
+      reject(result, result.errors);
+      continue;
+    }
+    const key = JSON.stringify(target.key.map((field) => result.data[field]));
+    if (valid.has(key)) replaced.push({ key, result: valid.get(key) });
+    valid.set(key, result);
+  }
+  for (const { key, result } of replaced) {
+    const keyValues = target.key.map((field) => result.data[field]);
+    reject(result, [{
+      field: target.key.join(','),
+      sourceColumn: null,
+      code: 'duplicate_key',
+      value: keyValues,
+      message: translate(plan.locale, 'sync.duplicateKey', { key: keyValues.join(', '), row: valid.get(key).row }),
+    }]);
+  }
+
+  const records = [...valid.values()].map((result) => ({ ...result.data, ...provenance(result.row - 1) }));
+  const recordsOk = records.length === 0 || await writeWithRetry(() => destination.upsertTypedRows(target, records), logTag);
+  const rejectedOk = rejected.length === 0 || await writeWithRetry(() => destination.insertImportErrors(rejected), logTag);
+  return {
+    written: recordsOk ? records.length : 0,
+    failed: (recordsOk ? 0 : records.length) + (rejectedOk ? 0 : rejected.length),
+    rejected: rejectedOk ? rejected.length : 0,
+  };
+}
+
+// ============================================
+// INCREMENTAL SYNC - Row fingerprints against the previous sync
+// Each access_data row written by an incremental sync carries row_key (which
+// row it is: hash of keyColumns, or of the whole row without them; a key seen
+// again in the same table gets a -<n> suffix) and row_hash (its content).
+// A sync reads the table's fingerprints from the destination, inserts rows
+// with new keys, replaces rows whose hash changed and deletes keys that are
+// gone. The destination is the only state, so a resumed job simply diffs
+// again from the first row: what was already written now compares equal.
+// ============================================
+/**
+ * Differential sync of one table. `resumed` is the diff checkpointed by an
+ * interrupted run (its inserted/updated/deleted counts carry over).
+ * Resolves to { rows, inserted, updated, deleted, unchanged, failed }.
+ */
+async function syncTableIncremental(job, destination, source, { fileId, tableName, keyColumns, logTag }, resumed, onBatch) {
+  const BATCH_SIZE = 500;
+  const diff = {
+    rows: 0,
+    inserted: resumed?.inserted || 0,
+    updated: resumed?.updated || 0,
+    deleted: resumed?.deleted || 0,
+    unchanged: 0,
+    failed: 0,
+  };
+
+  const previous = new Map(); // row_key -> row_hash
+  let unkeyed = 0;
+  for (const { row_key, row_hash } of await destination.listRowFingerprints(fileId, tableName)) {
+    if (row_key === null || row_key === undefined) unkeyed++;
+    else previous.set(row_key, row_hash);
+  }
+
+  // Rows written by a replace sync have no fingerprints to match: replace the table once
+  if (unkeyed > 0) {
+    console.log(`[${logTag}] ${unkeyed} rows of ${tableName} have no fingerprint, replacing the table`);
+    diff.deleted += await destination.deleteTableRows(fileId, tableName, () => assertJobNotCancelled(job));
+    previous.clear();
+  }
+
+  const occurrences = new Map(); // key -> rows seen with it
+  for await (const { offset, rows, fingerprints } of source.fingerprintedPages(0, BATCH_SIZE, keyColumns)) {
+    assertJobNotCancelled(job);
+
+    const records = [];
+    const changedKeys = [];
+    rows.forEach((row, i) => {
+      const { key, hash } = fingerprints[i];
+      const seen = occurrences.get(key) || 0;
+      occurrences.set(key, seen + 1);
+      const rowKey = seen === 0 ? key : `${key}-${seen}`;
+
+      const previousHash = previous.get(rowKey);
+      previous.delete(rowKey);
+      if (previousHash === hash) {
+        diff.unchanged++;
+        return;
+      }
+      if (previousHash !== undefined) changedKeys.push(rowKey);
+      records.push({ access_file_id: fileId, source_table: tableName, row_index: offset + i, row_data: row, row_key: rowKey, row_hash: hash });
+    });
+
+    // Changed rows are replaced together with the new rows, so a failed batch never loses their old version
+    const written = records.length === 0
+      || await writeWithRetry(() => destination.replaceRows(fileId, tableName, records, changedKeys), logTag);
+    if (written) {
+      diff.updated += changedKeys.length;
+      diff.inserted += records.length - changedKeys.length;
+    } else {
+      diff.failed += records.length;
+    }
+    diff.rows += rows.length;
+    await onBatch(diff);
+  }
+
+  // Keys of the previous sync that no longer exist
+  const removedKeys = [...previous.keys()];
+  for (let i = 0; i < removedKeys.length; i += BATCH_SIZE) {
+    assertJobNotCancelled(job);
+    const keys = removedKeys.slice(i, i + BATCH_SIZE);
+    if (await writeWithRetry(() => destination.deleteRowsByKey(fileId, tableName, keys), logTag)) {
+      diff.deleted += keys.length;
+    } else {
+      diff.failed += keys.length;
+    }
+    await onBatch(diff);
   }
-});
+
+  // Rows written before a resume compared equal this time: they count once, as written
+  diff.unchanged = Math.max(0, diff.rows - diff.inserted - diff.updated - diff.failed);
+  return diff;
+}
 
 // ============================================
-// SYNC TO SUPABASE - Direct database insertion from Railway
-// This bypasses Edge Function timeout limits
+// ATOMIC SYNC - Staged generations made visible in one step
+// The table's rows are staged under a generation (the job id) while
+// access_data keeps the previous ones; once every batch is staged,
+// swapStagedRows replaces them in a single transaction. A batch that still
+// fails after its retries aborts the job, leaving the table as it was.
+// Generations of queued and running jobs are never touched by others: every
+// atomic sync first discards the table's other generations, and a job that
+// fails or is cancelled discards its own (again when its journal expires, if
+// the destination could not be reached then).
 // ============================================
-app.post('/sync-to-supabase', async (req, res) => {
-  const { 
-    sessionId, 
-    tableName, 
-    fileId, 
-    supabaseUrl, 
-    supabaseKey,
-    deleteExisting = true 
-  } = req.body;
-  
-  if (!sessionId || !tableName || !fileId || !supabaseUrl || !supabaseKey) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Parâmetros obrigatórios: sessionId, tableName, fileId, supabaseUrl, supabaseKey' 
-    });
+/**
+ * Generations (job ids) that may still be staging rows
+ */
+function activeJobIds() {
+  return [...jobs.values()].filter((job) => !JOB_FINAL_STATUSES.includes(job.status)).map((job) => job.id);
+}
+
+/**
+ * Stage a table's rows and swap them in. `resumed` is the staging state
+ * checkpointed by an interrupted run ({ offset, staged, swapping, swapped });
+ * a run interrupted during the swap finds nothing left to swap when it had
+ * committed. Resolves to { generation, offset, staged, swapping, swapped, replaced }.
+ */
+async function syncTableAtomic(job, destination, source, { fileId, tableName, logTag }, resumed, onBatch) {
+  const BATCH_SIZE = 500;
+  const generation = job.id;
+  const staging = {
+    generation,
+    offset: resumed?.offset || 0,
+    staged: resumed?.staged || 0,
+    swapping: resumed?.swapping || false,
+    swapped: resumed?.swapped || false,
+    replaced: resumed?.replaced ?? null,
+  };
+  if (staging.swapped) return staging;
+
+  // Recorded before the first write, so a failure from here on is cleaned up (discardJobStaging)
+  await onBatch(staging);
+  await destination.discardStagedRows(fileId, tableName, activeJobIds());
+
+  for await (const page of source.pages(staging.offset, BATCH_SIZE)) {
+    assertJobNotCancelled(job);
+
+    const records = page.rows.map((row, i) => ({ access_file_id: fileId, source_table: tableName, row_index: page.offset + i, row_data: row }));
+    if (!await writeWithRetry(() => destination.insertStagedRows(generation, records), logTag)) {
+      throw requestError('sync.stagedWriteFailed', { first: page.offset, last: page.offset + records.length - 1, table: tableName });
+    }
+    staging.offset = page.offset + page.rows.length;
+    staging.staged += records.length;
+    await onBatch(staging);
   }
-  
-  if (!fileCache.has(sessionId)) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Sessão não encontrada. Faça upload novamente.' 
-    });
+
+  assertJobNotCancelled(job);
+  const resumedSwap = staging.swapping;
+  staging.swapping = true;
+  await onBatch(staging);
+
+  // An empty table has nothing to stage: clearing it is the replacement
+  staging.replaced = staging.staged > 0
+    ? await destination.swapStagedRows(fileId, tableName, generation)
+    : await destination.deleteTableRows(fileId, tableName);
+  if (staging.replaced === null && !resumedSwap) {
+    throw requestError('sync.stagedRowsMissing', { table: tableName, generation });
   }
-  
-  const cached = fileCache.get(sessionId);
-  cached.timestamp = Date.now();
-  
-  if (!cached.filePath || !fs.existsSync(cached.filePath)) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Arquivo da sessão não encontrado.' 
-    });
+  staging.swapped = true;
+  await onBatch(staging);
+  console.log(`[${logTag}] Swapped ${staging.staged} staged rows into ${tableName} (generation ${generation}, ${staging.replaced ?? 0} rows replaced)`);
+  return staging;
+}
+
+/**
+ * Discard the staged rows a failed or cancelled atomic job left behind (with
+ * any other inactive generation of its table). Resolves once nothing is left
+ * to discard; throws when the destination cannot be reached.
+ */
+async function discardJobStaging(job) {
+  const key = job.type === 'sync-all' ? 'tableStaging' : 'staging';
+  const staging = job.progress[key];
+  if (job.params.strategy !== 'atomic' || !staging || staging.swapped || staging.discarded) return;
+
+  const tableName = job.type === 'sync-all' ? job.progress.tablesToSync[job.progress.tableIndex] : job.params.tableName;
+  const destination = await openDestination(getJobDestination(job));
+  try {
+    await destination.discardStagedRows(job.params.fileId, tableName, activeJobIds());
+  } finally {
+    await destination.close();
   }
+  job.progress[key] = { ...staging, discarded: true };
+  saveJob(job);
+  console.log(`[jobs] Discarded staged rows of job ${job.id} (${tableName})`);
+}
+
+/**
+ * Job runner for /sync-to-supabase.
+ * Progress is checkpointed after every batch so a restart resumes from job.progress.offset.
+ */
+async function runSyncTableJob(job) {
+  const { tableName, fileId, deleteExisting, mode = 'raw', strategy = 'replace' } = job.params;
+  const progress = job.progress;
+
+  const source = await openRowSource(job.params.filePath, tableName, { background: true });
+  const { columns, totalRows } = source;
+  const plan = mode === 'typed' ? await resolveParsePlan(job.params.parse, source, job.params.locale) : null;
+  const target = plan && assertSyncTarget(plan.dataType);
+  const destination = await openDestination(getJobDestination(job));
+  const context = { fileId, tableName, plan, target, logTag: 'sync-to-supabase' };
   
-  console.log(`[sync-to-supabase] Starting sync: table=${tableName}, fileId=${fileId}`);
-  
-  // Return immediately to avoid timeout - processing will continue in background
-  res.json({ 
-    success: true, 
-    message: 'Sincronização iniciada em background',
-    tableName,
-    fileId
-  });
+  console.log(`[sync-to-supabase] Table ${tableName} has ${totalRows} rows (job=${job.id}, offset=${progress.offset || 0}, mode=${mode}, destination=${destination.name})`);
   
-  // Continue processing in background
-  (async () => {
+  // Update status at the destination
+  const updateStatus = async (status, extra = {}) => {
     try {
-      const buffer = readFileBuffer(cached.filePath);
-      const reader = new MDBReader(buffer);
-      const table = reader.getTable(tableName);
-      const columns = table.getColumnNames();
-      
-      // Get all data
-      const allData = table.getData();
-      const totalRows = allData.length;
-      
-      console.log(`[sync-to-supabase] Table ${tableName} has ${totalRows} rows`);
-      
-      // Update status in Supabase
-      const updateStatus = async (status, extra = {}) => {
-        try {
-          const body = {
-            sync_status: status,
-            last_synced_at: new Date().toISOString(),
-            current_table: tableName,
-            ...extra
-          };
-          
-          await fetch(`${supabaseUrl}/rest/v1/access_files?id=eq.${fileId}`, {
-            method: 'PATCH',
-            headers: {
-              'Content-Type': 'application/json',
-              'apikey': supabaseKey,
-              'Authorization': `Bearer ${supabaseKey}`,
-              'Prefer': 'return=minimal'
-            },
-            body: JSON.stringify(body)
-          });
-        } catch (e) {
-          console.error('[sync-to-supabase] Failed to update status:', e.message);
-        }
-      };
-      
-      // Delete existing data for this table if requested
-      if (deleteExisting) {
-        console.log(`[sync-to-supabase] Deleting existing data for ${tableName}`);
-        
-        let deletedCount = 0;
-        let hasMore = true;
-        
-        while (hasMore) {
-          // Select IDs to delete (batch of 500)
-          const selectRes = await fetch(
-            `${supabaseUrl}/rest/v1/access_data?select=id&access_file_id=eq.${fileId}&source_table=eq.${encodeURIComponent(tableName)}&limit=500`,
-            {
-              headers: {
-                'apikey': supabaseKey,
-                'Authorization': `Bearer ${supabaseKey}`
-              }
-            }
-          );
-          
-          if (!selectRes.ok) {
-            console.error('[sync-to-supabase] Failed to select records:', await selectRes.text());
-            break;
-          }
-          
-          const records = await selectRes.json();
-          
-          if (!records || records.length === 0) {
-            hasMore = false;
-            break;
-          }
-          
-          const ids = records.map(r => r.id);
-          
-          // Delete batch
-          const deleteRes = await fetch(
-            `${supabaseUrl}/rest/v1/access_data?id=in.(${ids.map(id => `"${id}"`).join(',')})`,
-            {
-              method: 'DELETE',
-              headers: {
-                'apikey': supabaseKey,
-                'Authorization': `Bearer ${supabaseKey}`,
-                'Prefer': 'return=minimal'
-              }
-            }
-          );
-          
-          if (!deleteRes.ok) {
-            console.error('[sync-to-supabase] Failed to delete batch:', await deleteRes.text());
-            break;
-          }
-          
-          deletedCount += ids.length;
-          
-          if (records.length < 500) {
-            hasMore = false;
-          }
-        }
-        
-        console.log(`[sync-to-supabase] Deleted ${deletedCount} existing records`);
-      }
-      
-      // Insert data in batches
-      const BATCH_SIZE = 500; // Railway can handle larger batches
-      let insertedCount = 0;
-      let failedCount = 0;
-      
-      for (let offset = 0; offset < totalRows; offset += BATCH_SIZE) {
-        const batch = allData.slice(offset, offset + BATCH_SIZE);
-        
-        const records = batch.map((row, i) => ({
-          access_file_id: fileId,
-          source_table: tableName,
-          row_index: offset + i,
-          row_data: row
-        }));
-        
-        // Insert batch with retry
-        let retries = 3;
-        let success = false;
-        
-        while (retries > 0 && !success) {
-          try {
-            const insertRes = await fetch(`${supabaseUrl}/rest/v1/access_data`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'apikey': supabaseKey,
-                'Authorization': `Bearer ${supabaseKey}`,
-                'Prefer': 'return=minimal'
-              },
-              body: JSON.stringify(records)
-            });
-            
-            if (insertRes.ok) {
-              success = true;
-              insertedCount += records.length;
-            } else {
-              const errText = await insertRes.text();
-              console.error(`[sync-to-supabase] Insert failed (${retries} retries left):`, errText);
-              retries--;
-              
-              if (retries > 0) {
-                await new Promise(r => setTimeout(r, 1000)); // Wait 1s before retry
-              }
-            }
-          } catch (e) {
-            console.error(`[sync-to-supabase] Insert exception (${retries} retries left):`, e.message);
-            retries--;
-            
-            if (retries > 0) {
-              await new Promise(r => setTimeout(r, 1000));
-            }
-          }
-        }
-        
-        if (!success) {
-          failedCount += records.length;
-        }
-        
-        // Update progress every 2000 records
-        if (insertedCount % 2000 < BATCH_SIZE) {
-          await updateStatus('syncing', { records_synced: insertedCount });
+      await destination.updateFileStatus(fileId, {
+        sync_status: status,
+        last_synced_at: new Date().toISOString(),
+        current_table: tableName,
+        ...extra
+      });
+    } catch (e) {
+      console.error('[sync-to-supabase] Failed to update status:', e.message);
+    }
+  };
+  
+  // Update/create table metadata
+  const saveMetadata = async (rowCount) => {
+    await destination.saveTableMetadata({
+      access_file_id: fileId,
+      table_name: tableName,
+      row_count: rowCount,
+      column_names: columns,
+      last_synced_at: new Date().toISOString()
+    });
+    console.log(`[sync-to-supabase] Updated metadata for ${tableName}`);
+  };
+  
+  try {
+    if (strategy === 'incremental') {
+      checkpointJob(job, { totalRows });
+      const diff = await syncTableIncremental(job, destination, source, { ...context, keyColumns: job.params.keyColumns }, progress.diff, async (diff) => {
+        checkpointJob(job, { diff });
+        if (diff.rows % 2000 < 500) {
+          await updateStatus('syncing', { records_synced: diff.rows });
         }
-      }
-      
-      console.log(`[sync-to-supabase] Completed ${tableName}: ${insertedCount} inserted, ${failedCount} failed`);
-      
-      // Update/create table metadata
-      const metadataRes = await fetch(
-        `${supabaseUrl}/rest/v1/access_table_metadata?access_file_id=eq.${fileId}&table_name=eq.${encodeURIComponent(tableName)}`,
-        {
-          headers: {
-            'apikey': supabaseKey,
-            'Authorization': `Bearer ${supabaseKey}`
-          }
+      });
+      checkpointJob(job, { diff });
+      console.log(`[sync-to-supabase] Completed ${tableName} (incremental): ${diff.inserted} inserted, ${diff.updated} updated, ${diff.deleted} deleted, ${diff.unchanged} unchanged, ${diff.failed} failed`);
+      await saveMetadata(diff.rows - diff.failed);
+      return;
+    }
+    
+    if (strategy === 'atomic') {
+      checkpointJob(job, { totalRows });
+      const staging = await syncTableAtomic(job, destination, source, context, progress.staging, async (staging) => {
+        checkpointJob(job, { staging, offset: staging.offset, insertedCount: staging.staged });
+        if (!staging.swapped && staging.staged % 2000 < 500) {
+          await updateStatus('syncing', { records_synced: staging.staged });
         }
-      );
+      });
+      console.log(`[sync-to-supabase] Completed ${tableName} (atomic): ${staging.staged} rows`);
+      await saveMetadata(staging.staged);
+      return;
+    }
+    
+    // Delete existing data for this table if requested (skipped when resuming past this step)
+    if (deleteExisting && !progress.deleteDone) {
+      console.log(`[sync-to-supabase] Deleting existing data for ${tableName}`);
+      const deletedCount = target
+        ? await destination.deleteTypedRows(fileId, tableName, target)
+        : await destination.deleteTableRows(fileId, tableName, () => assertJobNotCancelled(job));
+      console.log(`[sync-to-supabase] Deleted ${deletedCount} existing records`);
+    }
+    checkpointJob(job, { deleteDone: true, totalRows, ...(plan && { dataType: plan.dataType, typedTable: target.table }) });
+    
+    // Insert data in batches
+    const BATCH_SIZE = 500; // Railway can handle larger batches
+    let insertedCount = progress.insertedCount || 0;
+    let failedCount = progress.failedCount || 0;
+    let rejectedCount = progress.rejectedCount || 0;
+    const startOffset = progress.offset || 0;
+    const batches = plan ? source.parsedPages(startOffset, BATCH_SIZE, plan.parse) : source.pages(startOffset, BATCH_SIZE);
+    
+    for await (const page of batches) {
+      assertJobNotCancelled(job);
       
-      const existingMeta = await metadataRes.json();
+      const { written, failed, rejected } = await writeSyncBatch(destination, context, page);
+      insertedCount += written;
+      failedCount += failed;
+      rejectedCount += rejected;
       
-      const metaData = {
-        access_file_id: fileId,
-        table_name: tableName,
-        row_count: insertedCount,
-        column_names: columns,
-        last_synced_at: new Date().toISOString()
-      };
+      // Commit batch offset so a restart resumes after this batch
+      checkpointJob(job, { offset: page.offset + page.rows.length, insertedCount, failedCount, rejectedCount });
       
-      if (existingMeta && existingMeta.length > 0) {
-        // Update existing
-        await fetch(
-          `${supabaseUrl}/rest/v1/access_table_metadata?id=eq.${existingMeta[0].id}`,
-          {
-            method: 'PATCH',
-            headers: {
-              'Content-Type': 'application/json',
-              'apikey': supabaseKey,
-              'Authorization': `Bearer ${supabaseKey}`,
-              'Prefer': 'return=minimal'
-            },
-            body: JSON.stringify(metaData)
-          }
-        );
-      } else {
-        // Insert new
-        await fetch(`${supabaseUrl}/rest/v1/access_table_metadata`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'apikey': supabaseKey,
-            'Authorization': `Bearer ${supabaseKey}`,
-            'Prefer': 'return=minimal'
-          },
-          body: JSON.stringify(metaData)
-        });
+      // Update progress every 2000 records
+      if (insertedCount % 2000 < BATCH_SIZE) {
+        await updateStatus('syncing', { records_synced: insertedCount });
       }
-      
-      console.log(`[sync-to-supabase] Updated metadata for ${tableName}`);
-      
-    } catch (err) {
-      console.error(`[sync-to-supabase] Error syncing ${tableName}:`, err);
     }
-  })();
-});
+    
+    console.log(`[sync-to-supabase] Completed ${tableName}: ${insertedCount} inserted, ${rejectedCount} rejected, ${failedCount} failed`);
+    
+    await saveMetadata(insertedCount);
+  } finally {
+    await destination.close();
+  }
+}
 
 // ============================================
-// SYNC ALL TABLES - Sync all tables from a session to Supabase
+// SYNC ALL TABLES - Sync all tables from a session to the destination
 // ============================================
 app.post('/sync-all-to-supabase', async (req, res) => {
   const { 
     sessionId, 
     fileId, 
-    supabaseUrl, 
-    supabaseKey,
     forceFullSync = false 
   } = req.body;
+  const locale = resolveLocale(req);
   
-  if (!sessionId || !fileId || !supabaseUrl || !supabaseKey) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Parâmetros obrigatórios: sessionId, fileId, supabaseUrl, supabaseKey' 
-    });
+  if (!sessionId || !fileId) {
+    return sendError(req, res, 400, 'sync.missingParams', { params: 'sessionId, fileId' });
+  }
+  
+  // Typed mode detects each table's data type; dataType and columnMap are per table, so not taken here
+  let mode;
+  let strategy;
+  let parse;
+  try {
+    mode = resolveSyncMode(req.body.mode);
+    strategy = resolveSyncStrategy(req.body.strategy, mode);
+    if (mode === 'typed') {
+      parse = pickParseParams(req.body, ['dataType', 'columnMap']);
+      validateParseParams(parse);
+    }
+  } catch (err) {
+    return sendRouteError(req, res, err, 'sync.invalidMode');
+  }
+  
+  let destination;
+  try {
+    destination = resolveDestinationConfig(req.body);
+    assertStrategySupported(strategy, destination);
+    await checkDestination(destination);
+  } catch (err) {
+    return sendRouteError(req, res, err, 'destination.unavailable');
   }
   
   if (!fileCache.has(sessionId)) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Sessão não encontrada. Faça upload novamente.' 
-    });
+    return sendError(req, res, 400, 'session.notFound');
   }
   
   const cached = fileCache.get(sessionId);
   cached.timestamp = Date.now();
   
   if (!cached.filePath || !fs.existsSync(cached.filePath)) {
-    return res.status(400).json({ 
-      success: false, 
-      error: 'Arquivo da sessão não encontrado.' 
-    });
+    return sendError(req, res, 400, 'session.fileNotFound');
   }
   
-  console.log(`[sync-all] Starting full sync: fileId=${fileId}, forceFullSync=${forceFullSync}`);
+  console.log(`[sync-all] Starting full sync: fileId=${fileId}, forceFullSync=${forceFullSync}, mode=${mode}, strategy=${strategy}, destination=${destination.type}`);
   
   // Get table list
-  const buffer = readFileBuffer(cached.filePath);
-  const reader = new MDBReader(buffer);
-  const tableNames = reader.getTableNames();
+  let tables;
+  try {
+    tables = await runAccessTask('listTables', { filePath: cached.filePath });
+  } catch (err) {
+    console.error('[sync-all] Failed to list tables:', err);
+    return sendRouteError(req, res, err, 'file.processFailed');
+  }
+  
+  console.log(`[sync-all] Found ${tables.length} tables to sync`);
   
-  const tables = tableNames.map((name) => {
+  let keyColumns = null;
+  if (strategy === 'incremental' && req.body.keyColumns) {
     try {
-      const table = reader.getTable(name);
-      return { name, rowCount: table.getData().length, columns: table.getColumnNames() };
+      keyColumns = resolveTableKeyColumns(req.body.keyColumns, tables);
     } catch (err) {
-      return { name, rowCount: 0, columns: [] };
+      return sendRouteError(req, res, err, 'table.processFailed');
     }
-  });
+  }
   
-  console.log(`[sync-all] Found ${tables.length} tables to sync`);
+  // Queue a persistent job - processing continues in background and survives restarts
+  const job = createJob('sync-all', {
+    sessionId,
+    filePath: cached.filePath,
+    filename: cached.filename,
+    sha256: cached.sha256 || null,
+    fileId,
+    ...jobDestinationParams(destination),
+    forceFullSync,
+    mode,
+    parse,
+    strategy,
+    keyColumns,
+    locale,
+  });
   
-  // Return immediately
   res.json({ 
     success: true, 
-    message: 'Sincronização iniciada em background',
+    message: translate(locale, 'sync.started'),
+    jobId: job.id,
     fileId,
+    destination: describeDestination(destination),
+    mode,
+    strategy,
     tableCount: tables.length,
     tables: tables.map(t => ({ name: t.name, rowCount: t.rowCount }))
   });
-  
-  // Continue in background
-  (async () => {
+});
+
+/**
+ * Job runner for /sync-all-to-supabase.
+ * The list of tables to sync is fixed on the first run and stored in job.progress,
+ * together with the current table index and batch offset, so a restart resumes mid-table.
+ * In typed mode, tables without a typed table or with unmapped required fields are
+ * skipped and listed in progress.skippedTables. An incremental sync diffs every
+ * table (already synced ones included) and keeps each table's diff in progress.diffs;
+ * an atomic sync swaps in each table once it is fully staged (progress.tableStaging).
+ */
+async function runSyncAllJob(job) {
+  const { filePath, fileId, mode = 'raw', strategy = 'replace' } = job.params;
+  const forceFullSync = job.params.forceFullSync || strategy === 'incremental';
+  const progress = job.progress;
+  const destination = await openDestination(getJobDestination(job));
+
+  const updateFileStatus = async (status, extra = {}) => {
     try {
-      const updateFileStatus = async (status, extra = {}) => {
-        try {
-          const body = {
-            sync_status: status,
-            last_synced_at: new Date().toISOString(),
-            ...extra
-          };
-          
-          await fetch(`${supabaseUrl}/rest/v1/access_files?id=eq.${fileId}`, {
-            method: 'PATCH',
-            headers: {
-              'Content-Type': 'application/json',
-              'apikey': supabaseKey,
-              'Authorization': `Bearer ${supabaseKey}`,
-              'Prefer': 'return=minimal'
-            },
-            body: JSON.stringify(body)
-          });
-        } catch (e) {
-          console.error('[sync-all] Failed to update status:', e.message);
-        }
-      };
-      
+      await destination.updateFileStatus(fileId, {
+        sync_status: status,
+        last_synced_at: new Date().toISOString(),
+        ...extra
+      });
+    } catch (e) {
+      console.error('[sync-all] Failed to update status:', e.message);
+    }
+  };
+
+  try {
+    const tables = await runAccessTask('listTables', { filePath }, { background: true });
+    const tableNames = tables.map((table) => table.name);
+
+    if (!progress.tablesToSync) {
       // Get already synced tables if not forcing full sync
       let syncedTableNames = new Set();
       if (!forceFullSync) {
         try {
-          const metaRes = await fetch(
-            `${supabaseUrl}/rest/v1/access_table_metadata?select=table_name&access_file_id=eq.${fileId}`,
-            {
-              headers: {
-                'apikey': supabaseKey,
-                'Authorization': `Bearer ${supabaseKey}`
-              }
-            }
-          );
-          
-          if (metaRes.ok) {
-            const meta = await metaRes.json();
-            
-            // Check which tables have actual data
-            for (const m of meta) {
-              const countRes = await fetch(
-                `${supabaseUrl}/rest/v1/access_data?select=id&access_file_id=eq.${fileId}&source_table=eq.${encodeURIComponent(m.table_name)}&limit=1`,
-                {
-                  headers: {
-                    'apikey': supabaseKey,
-                    'Authorization': `Bearer ${supabaseKey}`
-                  }
-                }
-              );
-              
-              if (countRes.ok) {
-                const data = await countRes.json();
-                if (data && data.length > 0) {
-                  syncedTableNames.add(m.table_name);
-                }
-              }
-            }
-          }
+          syncedTableNames = new Set(await destination.listSyncedTables(fileId));
         } catch (e) {
           console.error('[sync-all] Failed to get synced tables:', e.message);
         }
       }
       
       const tablesToSync = forceFullSync 
-        ? tables 
-        : tables.filter(t => !syncedTableNames.has(t.name));
+        ? tableNames 
+        : tableNames.filter(name => !syncedTableNames.has(name));
       
-      console.log(`[sync-all] Syncing ${tablesToSync.length} tables (${syncedTableNames.size} already synced)`);
-      
-      await updateFileStatus('syncing', { 
-        tables_synced: syncedTableNames.size,
-        records_synced: 0 
-      });
+      console.log(`[sync-all] Syncing ${tablesToSync.length} tables (${syncedTableNames.size} already synced) to ${destination.name}`);
       
-      let totalTablesCompleted = syncedTableNames.size;
       let totalRecordsSynced = 0;
       
       // Get current record count if resuming
       if (!forceFullSync && syncedTableNames.size > 0) {
         try {
-          const fileRes = await fetch(
-            `${supabaseUrl}/rest/v1/access_files?select=records_synced&id=eq.${fileId}`,
-            {
-              headers: {
-                'apikey': supabaseKey,
-                'Authorization': `Bearer ${supabaseKey}`,
-                'Accept': 'application/vnd.pgrst.object+json'
-              }
-            }
-          );
-          
-          if (fileRes.ok) {
-            const fileData = await fileRes.json();
-            totalRecordsSynced = fileData?.records_synced || 0;
-          }
+          totalRecordsSynced = await destination.getRecordsSynced(fileId);
         } catch (e) {
           console.error('[sync-all] Failed to get current record count:', e.message);
         }
       }
+
+      checkpointJob(job, {
+        tablesToSync,
+        tableCount: tableNames.length,
+        tableIndex: 0,
+        offset: 0,
+        deleteDone: false,
+        tableInserted: 0,
+        tablesCompleted: syncedTableNames.size,
+        recordsSynced: totalRecordsSynced,
+        recordsRejected: 0,
+        skippedTables: [],
+        diffs: {},
+      });
       
-      for (const table of tablesToSync) {
-        console.log(`[sync-all] Processing table: ${table.name} (${table.rowCount} rows)`);
-        
-        await updateFileStatus('syncing', { 
-          current_table: table.name,
-          tables_synced: totalTablesCompleted,
-          records_synced: totalRecordsSynced
+      await updateFileStatus('syncing', { 
+        tables_synced: syncedTableNames.size,
+        records_synced: 0 
+      });
+    } else {
+      console.log(`[sync-all] Resuming job ${job.id} at table ${progress.tableIndex + 1}/${progress.tablesToSync.length}, offset ${progress.offset}`);
+    }
+    
+    const { tablesToSync, tableCount } = progress;
+    let totalTablesCompleted = progress.tablesCompleted;
+    let totalRecordsSynced = progress.recordsSynced;
+    let totalRecordsRejected = progress.recordsRejected || 0;
+    
+    for (let tableIndex = progress.tableIndex; tableIndex < tablesToSync.length; tableIndex++) {
+      assertJobNotCancelled(job);
+
+      const tableName = tablesToSync[tableIndex];
+      const source = await openRowSource(filePath, tableName, { background: true });
+      console.log(`[sync-all] Processing table: ${tableName} (${source.totalRows} rows)`);
+      
+      let plan = null;
+      let target = null;
+      if (mode === 'typed') {
+        plan = await resolveParsePlan(job.params.parse, source, job.params.locale);
+        target = getSyncTarget(plan.dataType);
+        const missingRequiredFields = plan.mapping?.missingRequiredFields || [];
+        if (!target || missingRequiredFields.length > 0) {
+          const reason = !target ? 'noTypedTable' : 'missingRequiredFields';
+          console.log(`[sync-all] Skipping ${tableName}: ${reason} (dataType=${plan.dataType})`);
+          checkpointJob(job, {
+            tableIndex: tableIndex + 1,
+            skippedTables: [...(progress.skippedTables || []), { tableName, dataType: plan.dataType, reason, missingRequiredFields }],
+          });
+          continue;
+        }
+      }
+      const context = { fileId, tableName, plan, target, logTag: 'sync-all' };
+      
+      await updateFileStatus('syncing', { 
+        current_table: tableName,
+        tables_synced: totalTablesCompleted,
+        records_synced: totalRecordsSynced
+      });
+      
+      const { columns } = source;
+      const BATCH_SIZE = 500;
+      let tableInserted = progress.tableInserted;
+      
+      if (strategy === 'incremental') {
+        const keys = job.params.keyColumns?.[tableName] || null;
+        const diff = await syncTableIncremental(job, destination, source, { ...context, keyColumns: keys }, progress.tableDiff, async (tableDiff) => {
+          checkpointJob(job, { tableDiff });
+          if (tableDiff.rows % 2000 < BATCH_SIZE) {
+            await updateFileStatus('syncing', { 
+              records_synced: totalRecordsSynced + tableDiff.rows,
+              tables_synced: totalTablesCompleted
+            });
+          }
         });
-        
-        // Delete existing data
-        let deletedCount = 0;
-        let hasMore = true;
-        
-        while (hasMore) {
-          const selectRes = await fetch(
-            `${supabaseUrl}/rest/v1/access_data?select=id&access_file_id=eq.${fileId}&source_table=eq.${encodeURIComponent(table.name)}&limit=500`,
-            {
-              headers: {
-                'apikey': supabaseKey,
-                'Authorization': `Bearer ${supabaseKey}`
-              }
-            }
-          );
-          
-          if (!selectRes.ok) break;
-          
-          const records = await selectRes.json();
-          
-          if (!records || records.length === 0) {
-            hasMore = false;
-            break;
+        tableInserted = diff.rows - diff.failed;
+        totalRecordsSynced += tableInserted;
+        checkpointJob(job, { diffs: { ...progress.diffs, [tableName]: diff }, tableDiff: null, recordsSynced: totalRecordsSynced });
+        console.log(`[sync-all] Diff ${tableName}: ${diff.inserted} inserted, ${diff.updated} updated, ${diff.deleted} deleted, ${diff.unchanged} unchanged, ${diff.failed} failed`);
+      } else if (strategy === 'atomic') {
+        const staging = await syncTableAtomic(job, destination, source, context, progress.tableStaging, async (tableStaging) => {
+          checkpointJob(job, { tableStaging, offset: tableStaging.offset, tableInserted: tableStaging.staged });
+          if (!tableStaging.swapped && tableStaging.staged % 2000 < BATCH_SIZE) {
+            await updateFileStatus('syncing', { 
+              records_synced: totalRecordsSynced + tableStaging.staged,
+              tables_synced: totalTablesCompleted
+            });
           }
-          
-          const ids = records.map(r => r.id);
-          
-          await fetch(
-            `${supabaseUrl}/rest/v1/access_data?id=in.(${ids.map(id => `"${id}"`).join(',')})`,
-            {
-              method: 'DELETE',
-              headers: {
-                'apikey': supabaseKey,
-                'Authorization': `Bearer ${supabaseKey}`,
-                'Prefer': 'return=minimal'
-              }
-            }
-          );
-          
-          deletedCount += ids.length;
-          
-          if (records.length < 500) hasMore = false;
-        }
-        
-        if (deletedCount > 0) {
-          console.log(`[sync-all] Deleted ${deletedCount} existing records from ${table.name}`);
+        });
+        tableInserted = staging.staged;
+        totalRecordsSynced += tableInserted;
+        checkpointJob(job, { recordsSynced: totalRecordsSynced });
+      } else {
+        // Delete existing data (skipped when resuming mid-table)
+        if (!progress.deleteDone) {
+          const deletedCount = target
+            ? await destination.deleteTypedRows(fileId, tableName, target)
+            : await destination.deleteTableRows(fileId, tableName);
+          if (deletedCount > 0) {
+            console.log(`[sync-all] Deleted ${deletedCount} existing records from ${tableName}`);
+          }
+          checkpointJob(job, { deleteDone: true });
         }
+      
+        // Insert in batches, reading one page of rows at a time
+        const batches = plan ? source.parsedPages(progress.offset, BATCH_SIZE, plan.parse) : source.pages(progress.offset, BATCH_SIZE);
+      
+        for await (const page of batches) {
+          assertJobNotCancelled(job);
         
-        // Get table data
-        const tableObj = reader.getTable(table.name);
-        const allData = tableObj.getData();
-        const columns = tableObj.getColumnNames();
+          const { written, rejected } = await writeSyncBatch(destination, context, page);
+          tableInserted += written;
+          totalRecordsSynced += written;
+          totalRecordsRejected += rejected;
         
-        // Insert in batches
-        const BATCH_SIZE = 500;
-        let tableInserted = 0;
+          // Commit batch offset so a restart resumes after this batch
+          checkpointJob(job, {
+            offset: page.offset + page.rows.length,
+            tableInserted,
+            recordsSynced: totalRecordsSynced,
+            recordsRejected: totalRecordsRejected,
+          });
         
-        for (let offset = 0; offset < allData.length; offset += BATCH_SIZE) {
-          const batch = allData.slice(offset, offset + BATCH_SIZE);
-          
-          const records = batch.map((row, i) => ({
-            access_file_id: fileId,
-            source_table: table.name,
-            row_index: offset + i,
-            row_data: row
-          }));
-          
-          let retries = 3;
-          let success = false;
-          
-          while (retries > 0 && !success) {
-            try {
-              const insertRes = await fetch(`${supabaseUrl}/rest/v1/access_data`, {
-                method: 'POST',
-                headers: {
-                  'Content-Type': 'application/json',
-                  'apikey': supabaseKey,
-                  'Authorization': `Bearer ${supabaseKey}`,
-                  'Prefer': 'return=minimal'
-                },
-                body: JSON.stringify(records)
-              });
-              
-              if (insertRes.ok) {
-                success = true;
-                tableInserted += records.length;
-                totalRecordsSynced += records.length;
-              } else {
-                retries--;
-                if (retries > 0) await new Promise(r => setTimeout(r, 1000));
-              }
-            } catch (e) {
-              retries--;
-              if (retries > 0) await new Promise(r => setTimeout(r, 1000));
-            }
-          }
-          
           // Update progress every 2000 records
           if (tableInserted % 2000 < BATCH_SIZE) {
             await updateFileStatus('syncing', { 
@@ -1491,97 +3314,117 @@ app.post('/sync-all-to-supabase', async (req, res) => {
             });
           }
         }
-        
-        // Update metadata
-        const metaData = {
-          access_file_id: fileId,
-          table_name: table.name,
-          row_count: tableInserted,
-          column_names: columns,
-          last_synced_at: new Date().toISOString()
-        };
-        
-        // Check if metadata exists
-        const metaRes = await fetch(
-          `${supabaseUrl}/rest/v1/access_table_metadata?access_file_id=eq.${fileId}&table_name=eq.${encodeURIComponent(table.name)}`,
-          {
-            headers: {
-              'apikey': supabaseKey,
-              'Authorization': `Bearer ${supabaseKey}`
-            }
-          }
-        );
-        
-        const existingMeta = await metaRes.json();
-        
-        if (existingMeta && existingMeta.length > 0) {
-          await fetch(
-            `${supabaseUrl}/rest/v1/access_table_metadata?id=eq.${existingMeta[0].id}`,
-            {
-              method: 'PATCH',
-              headers: {
-                'Content-Type': 'application/json',
-                'apikey': supabaseKey,
-                'Authorization': `Bearer ${supabaseKey}`,
-                'Prefer': 'return=minimal'
-              },
-              body: JSON.stringify(metaData)
-            }
-          );
-        } else {
-          await fetch(`${supabaseUrl}/rest/v1/access_table_metadata`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json',
-              'apikey': supabaseKey,
-              'Authorization': `Bearer ${supabaseKey}`,
-              'Prefer': 'return=minimal'
-            },
-            body: JSON.stringify(metaData)
-          });
-        }
-        
-        totalTablesCompleted++;
-        console.log(`[sync-all] Completed ${table.name}: ${tableInserted} records (${totalTablesCompleted}/${tables.length})`);
-        
-        await updateFileStatus('syncing', { 
-          tables_synced: totalTablesCompleted,
-          records_synced: totalRecordsSynced
-        });
       }
       
-      // Mark as completed
-      await updateFileStatus('completed', { 
-        tables_synced: tables.length,
-        records_synced: totalRecordsSynced,
-        current_table: null
+      // Update metadata
+      await destination.saveTableMetadata({
+        access_file_id: fileId,
+        table_name: tableName,
+        row_count: tableInserted,
+        column_names: columns,
+        last_synced_at: new Date().toISOString()
       });
       
-      console.log(`[sync-all] Sync completed: ${tables.length} tables, ${totalRecordsSynced} records`);
+      totalTablesCompleted++;
+      console.log(`[sync-all] Completed ${tableName}: ${tableInserted} records (${totalTablesCompleted}/${tableCount})`);
       
-    } catch (err) {
-      console.error('[sync-all] Fatal error:', err);
+      // Move on to the next table
+      checkpointJob(job, {
+        tableIndex: tableIndex + 1,
+        offset: 0,
+        deleteDone: false,
+        tableInserted: 0,
+        tableStaging: null,
+        tablesCompleted: totalTablesCompleted,
+      });
       
-      // Mark as failed
-      try {
-        await fetch(`${supabaseUrl}/rest/v1/access_files?id=eq.${fileId}`, {
-          method: 'PATCH',
-          headers: {
-            'Content-Type': 'application/json',
-            'apikey': supabaseKey,
-            'Authorization': `Bearer ${supabaseKey}`,
-            'Prefer': 'return=minimal'
-          },
-          body: JSON.stringify({ sync_status: 'failed' })
-        });
-      } catch (e) {
-        console.error('[sync-all] Failed to mark as failed:', e.message);
-      }
+      await updateFileStatus('syncing', { 
+        tables_synced: totalTablesCompleted,
+        records_synced: totalRecordsSynced
+      });
     }
-  })();
+    
+    // Mark as completed
+    await updateFileStatus('completed', { 
+      tables_synced: tableCount,
+      records_synced: totalRecordsSynced,
+      current_table: null
+    });
+    
+    console.log(`[sync-all] Sync completed: ${tableCount} tables, ${totalRecordsSynced} records`);
+    
+  } catch (err) {
+    if (err.jobCancelled) {
+      await updateFileStatus('cancelled', { current_table: null });
+      throw err;
+    }
+
+    console.error('[sync-all] Fatal error:', err);
+    
+    // Mark as failed
+    try {
+      await destination.updateFileStatus(fileId, { sync_status: 'failed' });
+    } catch (e) {
+      console.error('[sync-all] Failed to mark as failed:', e.message);
+    }
+    throw err;
+  } finally {
+    await destination.close();
+  }
+}
+
+jobRunners['sync-table'] = runSyncTableJob;
+jobRunners['sync-all'] = runSyncAllJob;
+
+// ============================================
+// JOB STATUS API
+// ============================================
+app.get('/jobs', (req, res) => {
+  const status = req.query?.status ? String(req.query.status) : null;
+  const fileId = req.query?.fileId ? String(req.query.fileId) : null;
+
+  const list = [...jobs.values()]
+    .filter((job) => !status || job.status === status)
+    .filter((job) => !fileId || job.params.fileId === fileId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(publicJob);
+
+  res.json({ success: true, jobs: list });
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return sendError(req, res, 404, 'job.notFound');
+  }
+  res.json({ success: true, job: publicJob(job) });
+});
+
+app.post('/jobs/:id/cancel', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    return sendError(req, res, 404, 'job.notFound');
+  }
+
+  if (JOB_FINAL_STATUSES.includes(job.status)) {
+    return sendError(req, res, 409, 'job.alreadyFinished', { status: job.status }, { job: publicJob(job) });
+  }
+
+  job.cancelRequested = true;
+  if (job.status === 'queued') {
+    // Not running: cancel right away (a resumed job may have staged rows before the restart)
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    discardJobStaging(job).catch((e) => console.error(`[jobs] Failed to discard staged rows of job ${job.id}:`, e.message));
+  }
+  saveJob(job);
+
+  console.log(`[jobs] Cancel requested: ${job.id} (${job.status})`);
+  res.json({ success: true, job: publicJob(job) });
 });
 
 app.listen(PORT, () => {
   console.log(`Access Parser Server running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
+  resumeInterruptedJobs();
 });